@@ -1,55 +1,99 @@
-const { OpenAIModels, ValidationError } = require('../lib/models');
+const { OpenAIModels, ValidationError, APIError } = require('../lib/models');
 const ClaudeCLI = require('../lib/claude-cli');
 const MessageAdapter = require('../lib/message-adapter');
 const { StreamingManager } = require('../lib/streaming');
+const ImageInputs = require('../lib/image-inputs');
 
 class ChatHandler {
-    constructor(config, logger) {
+    constructor(config, logger, sessionStore = null, sessionManager = null, scheduler = null) {
         this.config = config;
         this.logger = logger;
-        this.claudeCLI = new ClaudeCLI(config, logger);
+        this.sessionStore = sessionStore;
+        this.sessionManager = sessionManager;
+        this.claudeCLI = new ClaudeCLI(config, logger, scheduler);
         this.messageAdapter = new MessageAdapter(config, logger);
         this.streamingManager = new StreamingManager(config, logger);
+        this.imageInputs = new ImageInputs(config, logger);
     }
 
     async handle(req, res) {
         const startTime = Date.now();
+        let images = null;
+        let apiSession = null;
 
         try {
             // Validate request body
-            const validatedRequest = OpenAIModels.validateChatCompletionRequest(req.body);
-            
-            this.logger.info(`Chat completion request: model=${validatedRequest.model}, streaming=${validatedRequest.stream}`);
+            const validatedRequest = OpenAIModels.validateChatCompletionRequest(req.body, {
+                maxChoices: this.config.maxChoices
+            });
+            // Resolve the model up front: unknown models fail before any work and responses echo the model used
+            validatedRequest.model = this.messageAdapter.mapModelName(validatedRequest.model);
             
+            this.logger.info(`Chat completion request: model=${validatedRequest.model}, streaming=${validatedRequest.stream}, n=${validatedRequest.n || 1}`);
+
+            // X-Claude-Session: the messages are the next turn of a session created through /v1/sessions
+            const sessionHeader = req.headers['x-claude-session'];
+            if (sessionHeader && this.sessionManager) {
+                if ((validatedRequest.n || 1) > 1) {
+                    throw new ValidationError('n must be 1 when X-Claude-Session is set', 'n');
+                }
+                apiSession = this.sessionManager.acquire(sessionHeader);
+            }
+
+            // Checked before any streaming starts, so an oversized history gets a normal error response
+            validatedRequest.messages = await this.messageAdapter.fitContext(
+                validatedRequest,
+                validatedRequest.context_strategy || this.config.contextStrategy,
+                this.claudeCLI
+            );
+
+            // Decoded before any streaming starts, so a bad image gets a normal error response
+            images = this.imageInputs.prepare(this.messageAdapter.collectImages(validatedRequest.messages));
+
+            // Places for the runs are held before any streaming starts, so a full queue is a 429
+            // response with Retry-After rather than an error event; every choice is a run of its own
+            req.processReservation = this.claudeCLI.reserveCapacity(validatedRequest.n || 1);
+
             if (validatedRequest.stream) {
-                await this.handleStreamingRequest(validatedRequest, req, res);
+                await this.handleStreamingRequest(validatedRequest, req, res, images.files, apiSession);
             } else {
-                await this.handleNonStreamingRequest(validatedRequest, req, res);
+                await this.handleNonStreamingRequest(validatedRequest, req, res, images.files, apiSession);
             }
 
         } catch (error) {
             this.logger.logError(error, 'chat_completion');
-            
+
+            // Queue full or queue timeout: tell the client when to come back
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', String(error.retryAfter));
+            }
+
             if (error instanceof ValidationError) {
                 this.sendError(res, error.statusCode, error.message, error.code);
             } else if (error.statusCode) {
-                this.sendError(res, error.statusCode, error.message, error.type || 'api_error');
+                this.sendError(res, error.statusCode, error.message, error.type || 'api_error', error.code);
             } else {
                 this.sendError(res, 500, 'Internal server error', 'internal_error');
             }
         } finally {
+            if (images) {
+                this.imageInputs.cleanup(images.dir);
+            }
+
+            if (apiSession) {
+                this.sessionManager.release(apiSession);
+            }
+
+            if (req.processReservation) {
+                req.processReservation.release();
+            }
+
             const duration = Date.now() - startTime;
             this.logger.logPerformance('chat_completion', duration);
         }
     }
 
-    async handleStreamingRequest(request, req, res) {
-        // Check if tools/functions are provided - not supported
-        if ((request.tools && request.tools.length > 0) || (request.functions && request.functions.length > 0)) {
-            this.sendError(res, 400, 'Tool/function calling is not supported', 'invalid_request_error');
-            return;
-        }
-        
+    async handleStreamingRequest(request, req, res, imageFiles = [], apiSession = null) {
         // Create streaming response
         const stream = this.streamingManager.createStream(res, request);
         
@@ -59,8 +103,13 @@ class ChatHandler {
         
         try {
             // Convert messages to Claude prompt format - no session management
-            const hasTools = false;
-            const { systemPrompt, prompt } = this.messageAdapter.messagesToClaudePrompt(request.messages, hasTools, request.tools || []);
+            const replyContext = this.getReplyContext(request, apiSession);
+            const { systemPrompt, prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(
+                request.messages,
+                replyContext.hasTools,
+                replyContext.tools,
+                replyContext
+            );
             
             this.messageAdapter.logMessageProcessing(request.messages, prompt, systemPrompt);
 
@@ -68,6 +117,14 @@ class ChatHandler {
             const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(request);
             claudeOptions.systemPrompt = systemPrompt;
             claudeOptions.stream = true;
+            claudeOptions.images = imageFiles;
+            // SSE comments keep the connection open while the run waits for a process
+            claudeOptions.keepalive = () => this.streamingManager.sendKeepAlive(stream);
+            claudeOptions.reservation = req.processReservation;
+            claudeOptions.inputMessages = inputMessages;
+            if (apiSession && apiSession.claudeSessionId) {
+                claudeOptions.resume = apiSession.claudeSessionId;
+            }
 
             // Log tool configuration
             if (request.enable_tools) {
@@ -76,18 +133,16 @@ class ChatHandler {
                 this.logger.info('Tools disabled for OpenAI compatibility (streaming)');
             }
 
-            // Start Claude CLI streaming
-            const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
-            
-            // Process stream and send chunks to client
-            await this.streamingManager.processClaudeStream(
-                claudeStream, 
-                stream,
-                (content) => {
-                    // Callback to accumulate streamed content for logging
-                    streamedContent += content;
-                }
-            );
+            // With n > 1 every choice is its own Claude CLI run, interleaved on the one stream
+            const choiceCount = request.n || 1;
+            const choiceOutcomes = await Promise.all(Array.from({ length: choiceCount }, (_, index) => {
+                const choiceStream = choiceCount > 1 ? this.streamingManager.createChoiceStream(stream, index) : stream;
+                return this.streamChoice(prompt, claudeOptions, request, replyContext, choiceStream);
+            }));
+            streamedContent = choiceOutcomes.map(outcome => outcome.content).join('\n\n');
+
+            // stream_options.include_usage: one last chunk with the usage of all choices
+            stream.writeUsage(OpenAIModels.sumUsage(choiceOutcomes.map(outcome => outcome.usage)));
             
             // Log Claude interaction for streaming if requestId is available
             if (req.requestId) {
@@ -108,19 +163,16 @@ class ChatHandler {
         }
     }
 
-    async handleNonStreamingRequest(request, req, res) {
-        // Check if tools/functions are provided - not supported
-        if ((request.tools && request.tools.length > 0) || (request.functions && request.functions.length > 0)) {
-            this.logger.warn('Tool/function calling attempted but not supported');
-            this.logger.debug('Request had tools:', request.tools);
-            this.sendError(res, 400, 'Tool/function calling is not supported', 'invalid_request_error');
-            return;
-        }
-        
+    async handleNonStreamingRequest(request, req, res, imageFiles = [], apiSession = null) {
         try {
             // Convert messages to Claude prompt format - no session management
-            const hasTools = false;
-            const { systemPrompt, prompt } = this.messageAdapter.messagesToClaudePrompt(request.messages, hasTools, request.tools || []);
+            const replyContext = this.getReplyContext(request, apiSession);
+            const { systemPrompt, prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(
+                request.messages,
+                replyContext.hasTools,
+                replyContext.tools,
+                replyContext
+            );
             
             this.messageAdapter.logMessageProcessing(request.messages, prompt, systemPrompt);
 
@@ -128,6 +180,12 @@ class ChatHandler {
             const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(request);
             claudeOptions.systemPrompt = systemPrompt;
             claudeOptions.stream = false;
+            claudeOptions.images = imageFiles;
+            claudeOptions.reservation = req.processReservation;
+            claudeOptions.inputMessages = inputMessages;
+            if (apiSession && apiSession.claudeSessionId) {
+                claudeOptions.resume = apiSession.claudeSessionId;
+            }
 
             // Log tool configuration
             if (request.enable_tools) {
@@ -136,33 +194,33 @@ class ChatHandler {
                 this.logger.info('Tools disabled for OpenAI compatibility (non-streaming)');
             }
 
-            // Execute Claude CLI
-            const result = await this.claudeCLI.completion(prompt, claudeOptions);
-            
+            // With n > 1 every choice is its own Claude CLI run, executed in parallel
+            const choiceCount = request.n || 1;
+            const generations = await Promise.all(Array.from({ length: choiceCount }, () =>
+                this.generateChoice(prompt, claudeOptions, request, replyContext)
+            ));
+
             // Log Claude interaction if requestId is available
             if (req.requestId) {
-                this.logger.logClaudeInteraction(prompt, result.output, req.requestId, false);
+                for (const { result } of generations) {
+                    this.logger.logClaudeInteraction(prompt, result.output, req.requestId, false);
+                }
             }
-            
-            // Parse and clean the response
-            const assistantMessage = this.messageAdapter.claudeResponseToOpenAI(
-                result.output, 
-                request.model,
-                hasTools
-            );
 
             // No session management - stateless proxy
 
-            // Create usage statistics
-            const usage = this.messageAdapter.createUsageStats(prompt, assistantMessage.content || '');
+            // Create usage statistics; every choice consumed the prompt separately
+            const usage = OpenAIModels.sumUsage(generations.map(generation => generation.usage));
 
             // Create and send response
-            const response = OpenAIModels.createChatCompletionResponse(
-                request, 
-                assistantMessage.content, 
-                usage,
-                assistantMessage.tool_calls
-            );
+            const choices = generations.map(({ message, finishReason }, index) => {
+                const choice = OpenAIModels.createChatChoice(request, message.content, message.tool_calls, index, finishReason);
+                if (message.reasoning_content) {
+                    choice.message.reasoning_content = message.reasoning_content;
+                }
+                return choice;
+            });
+            const response = OpenAIModels.createChatCompletionFromChoices(request, choices, usage);
             
             this.sendJSON(res, 200, response);
 
@@ -171,13 +229,314 @@ class ChatHandler {
         }
     }
 
+    // Generate one choice up front; returns { result, message, usage, finishReason? }
+    async generateChoice(prompt, claudeOptions, request, replyContext) {
+        if (replyContext.buffered) {
+            return this.generateCheckedReply(prompt, claudeOptions, request, replyContext);
+        }
+
+        if (claudeOptions.maxTokens || claudeOptions.includeReasoning) {
+            // Streamed internally so the CLI can be stopped once max_tokens is reached, and
+            // because only stream-json output carries the thinking blocks
+            const claudeStream = this.streamWithSession(prompt, claudeOptions, replyContext.session);
+            const { content, reasoning, finishReason, stopSequence, sessionId, resultEvent } = await this.streamingManager.collectClaudeStream(claudeStream, claudeOptions);
+            this.recordSessionTurn(replyContext, sessionId);
+            const message = { role: 'assistant', content };
+            if (reasoning) {
+                message.reasoning_content = reasoning;
+            }
+
+            // Replies cut short do not match what the CLI session recorded
+            if (finishReason !== 'length' && !stopSequence) {
+                this.rememberSession(request, replyContext, content, sessionId);
+            }
+
+            return {
+                result: { output: content },
+                message,
+                usage: this.messageAdapter.createUsageStats(prompt, content, resultEvent),
+                finishReason
+            };
+        }
+
+        // Execute Claude CLI
+        const result = await this.completeWithSession(prompt, claudeOptions, replyContext.session);
+        this.recordSessionTurn(replyContext, this.resultSessionId(result));
+
+        // Parse and clean the response
+        const message = this.messageAdapter.claudeResponseToOpenAI(result.output, request.model);
+        const fullReply = this.messageAdapter.stripPrefill(message.content, claudeOptions.prefill);
+        message.content = this.messageAdapter.applyStopSequences(fullReply, request.stop);
+
+        if (message.content === fullReply) {
+            this.rememberSession(request, replyContext, message.content, this.resultSessionId(result));
+        }
+
+        return { result, message, usage: this.messageAdapter.createUsageStats(prompt, message.content, result.resultEvent) };
+    }
+
+    // Stream one choice to the client; returns { content, usage } with the content sent, for logging
+    async streamChoice(prompt, claudeOptions, request, replyContext, stream) {
+        if (replyContext.buffered) {
+            // Tool calls and structured output must be parsed and checked as a whole before anything is sent
+            const { message, usage, finishReason } = await this.generateCheckedReply(prompt, claudeOptions, request, replyContext);
+            this.streamingManager.writeBufferedReply(stream, message, replyContext.legacyFunctions, finishReason);
+            return { content: message.tool_calls ? JSON.stringify(message.tool_calls) : message.content, usage };
+        }
+
+        // Start Claude CLI streaming
+        const claudeStream = this.streamWithSession(prompt, claudeOptions, replyContext.session);
+
+        // Process stream and send chunks to client
+        const { content, finishReason, stopSequence, sessionId, resultEvent } = await this.streamingManager.processClaudeStream(claudeStream, stream, null, claudeOptions);
+        this.recordSessionTurn(replyContext, sessionId);
+
+        // Replies cut short do not match what the CLI session recorded
+        if (finishReason !== 'length' && !stopSequence) {
+            this.rememberSession(request, replyContext, content, sessionId);
+        }
+
+        return { content, usage: this.messageAdapter.createUsageStats(prompt, content, resultEvent) };
+    }
+
+    // A plain single-choice chat that extends a conversation this proxy already answered
+    // continues that conversation's CLI session with only the new turns. Returns
+    // { key, sessionId, prompt }, or null when the full transcript has to be sent.
+    findSession(request, replyContext) {
+        if (!this.sessionStore || !this.sessionStore.isEnabled() || replyContext.apiSession || replyContext.buffered || (request.n || 1) > 1) {
+            return null;
+        }
+
+        // Images are numbered across the whole conversation, so those requests are replayed
+        if (this.messageAdapter.collectImages(request.messages).length > 0) {
+            return null;
+        }
+
+        const match = this.sessionStore.findResumable(request.model, request.messages);
+        if (!match) {
+            return null;
+        }
+
+        // The system prompt still comes from the full conversation
+        const { prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(match.newMessages);
+        this.logger.debug(`Resuming Claude CLI session ${match.sessionId} with ${match.newMessages.length} new message(s)`);
+
+        return { key: match.key, sessionId: match.sessionId, prompt, inputMessages };
+    }
+
+    // Remember which CLI session now holds the conversation plus this reply. Callers skip
+    // replies cut short by max_tokens or a stop sequence.
+    rememberSession(request, replyContext, reply, sessionId) {
+        if (!this.sessionStore || !this.sessionStore.isEnabled() || replyContext.apiSession || replyContext.buffered || (request.n || 1) > 1) {
+            return;
+        }
+
+        if (!sessionId || this.messageAdapter.getPrefill(request.messages) !== null) {
+            return;
+        }
+
+        this.sessionStore.remember(request.model, request.messages, reply, sessionId);
+    }
+
+    // An explicit session (X-Claude-Session) continues from the CLI session of its latest turn.
+    // The CLI keeps the whole reply even when the client got less of it (max_tokens, stop).
+    recordSessionTurn(replyContext, sessionId) {
+        if (replyContext.apiSession) {
+            this.sessionManager.recordTurn(replyContext.apiSession, sessionId);
+        }
+    }
+
+    // CLI session of a non-streaming run, named in its result event
+    resultSessionId(result) {
+        return (result.resultEvent && result.resultEvent.sessionId) || null;
+    }
+
+    // Run with --resume when the conversation has a session; replay the full prompt if it is gone
+    async completeWithSession(prompt, claudeOptions, session) {
+        if (session) {
+            try {
+                return await this.claudeCLI.completion(session.prompt, { ...claudeOptions, resume: session.sessionId, inputMessages: session.inputMessages });
+            } catch (error) {
+                this.logger.warn(`Could not resume Claude CLI session ${session.sessionId}, replaying the conversation: ${error.message}`);
+                this.sessionStore.delete(session.key);
+            }
+        }
+
+        return this.claudeCLI.completion(prompt, claudeOptions);
+    }
+
+    // Streaming counterpart of completeWithSession. The fallback is only possible while
+    // nothing but the init event has been produced.
+    async *streamWithSession(prompt, claudeOptions, session) {
+        if (session) {
+            let started = false;
+
+            try {
+                const resumeOptions = { ...claudeOptions, resume: session.sessionId, inputMessages: session.inputMessages };
+                for await (const event of this.claudeCLI.streamingCompletion(session.prompt, resumeOptions)) {
+                    started = started || !['init', 'system'].includes(event.type);
+                    yield event;
+                }
+                return;
+            } catch (error) {
+                if (started) {
+                    throw error;
+                }
+
+                this.logger.warn(`Could not resume Claude CLI session ${session.sessionId}, replaying the conversation: ${error.message}`);
+                this.sessionStore.delete(session.key);
+            }
+        }
+
+        yield* this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+    }
+
+    getReplyContext(request, apiSession = null) {
+        const toolCalls = this.messageAdapter.toolCalls;
+        const tools = toolCalls.getRequestTools(request);
+        const toolChoice = toolCalls.resolveToolChoice(request);
+        // tool_choice "none" keeps the tools out of the prompt entirely
+        const hasTools = tools.length > 0 && toolChoice.mode !== 'none';
+        const hasResponseFormat = this.messageAdapter.structuredOutput.isEnabled(request.response_format);
+
+        const context = {
+            tools,
+            toolChoice,
+            hasTools,
+            parallelToolCalls: request.parallel_tool_calls !== false,
+            legacyFunctions: toolCalls.usesLegacyFunctions(request),
+            responseFormat: request.response_format,
+            hasResponseFormat,
+            // Replies that have to be checked are generated in full before anything is sent
+            buffered: hasTools || hasResponseFormat,
+            // Explicit session from X-Claude-Session; its CLI session holds the earlier turns
+            apiSession
+        };
+
+        // Set when the request extends a conversation whose CLI session can be resumed
+        context.session = this.findSession(request, context);
+
+        return context;
+    }
+
+    // Run Claude until the reply satisfies tool_choice and response_format,
+    // re-prompting with the problem on failure. A reply cut at max_tokens is returned
+    // as it is with finishReason 'length': it cannot be checked and retrying would not help.
+    async generateCheckedReply(prompt, claudeOptions, request, replyContext) {
+        const toolCalls = this.messageAdapter.toolCalls;
+        const structuredOutput = this.messageAdapter.structuredOutput;
+        const retries = Math.max(
+            replyContext.hasTools ? this.config.toolChoiceRetries : 0,
+            replyContext.hasResponseFormat ? this.config.structuredOutputRetries : 0
+        );
+        let attemptPrompt = prompt;
+        let attemptOptions = { ...claudeOptions, stream: false };
+        let lastError = null;
+        // Rejected attempts are billed too, so usage covers every attempt
+        const usages = [];
+
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            const { result, finishReason, sessionId, reasoning } = await this.runCheckedAttempt(attemptPrompt, attemptOptions);
+            usages.push(this.messageAdapter.createUsageStats(attemptPrompt, result.output, result.resultEvent));
+
+            if (finishReason === 'length') {
+                this.recordSessionTurn(replyContext, sessionId);
+                const prefill = this.messageAdapter.getPrefill(request.messages);
+                const content = this.messageAdapter.stripPrefill(this.messageAdapter.parseClaudeOutput(result.output), prefill);
+                return { result, message: this.withReasoning({ role: 'assistant', content }, reasoning), usage: OpenAIModels.sumUsage(usages), finishReason };
+            }
+
+            const check = this.checkReply(result.output, request, replyContext);
+
+            if (check.message) {
+                this.recordSessionTurn(replyContext, sessionId);
+                return { result, message: this.withReasoning(check.message, reasoning), usage: OpenAIModels.sumUsage(usages) };
+            }
+
+            lastError = check;
+            this.logger.warn(`Reply rejected (attempt ${attempt + 1}/${retries + 1}): ${check.error}`);
+
+            const correction = check.code === 'tool_choice_not_satisfied'
+                ? toolCalls.renderToolChoiceCorrection(check.error)
+                : structuredOutput.renderCorrection(check.error);
+            const previousReply = this.messageAdapter.parseClaudeOutput(result.output);
+
+            // The rejected reply and the correction continue the transcript in its format; the system prompt stays
+            const retry = this.messageAdapter.messagesToClaudePrompt(
+                request.messages.concat({ role: 'assistant', content: previousReply }, { role: 'user', content: correction }),
+                replyContext.hasTools,
+                replyContext.tools,
+                replyContext
+            );
+            attemptPrompt = retry.prompt;
+            attemptOptions = { ...claudeOptions, stream: false, inputMessages: retry.inputMessages };
+        }
+
+        const reason = lastError.code === 'tool_choice_not_satisfied'
+            ? 'Model did not produce the tool call required by tool_choice.'
+            : 'Model output did not satisfy response_format.';
+
+        throw new APIError(`${reason} ${lastError.error}`, 502, 'api_error', lastError.code);
+    }
+
+    // One attempt of generateCheckedReply; returns { result: { output, resultEvent }, finishReason, sessionId, reasoning }.
+    // With max_tokens or reasoning the reply is streamed internally so the CLI can be stopped at the
+    // budget and the thinking blocks arrive. Prefill and stop sequences are left to checkReply, which
+    // sees the whole reply.
+    async runCheckedAttempt(prompt, options) {
+        if (!options.maxTokens && !options.includeReasoning) {
+            const result = await this.claudeCLI.completion(prompt, options);
+            return { result, finishReason: 'stop', sessionId: this.resultSessionId(result) };
+        }
+
+        const claudeStream = this.claudeCLI.streamingCompletion(prompt, options);
+        const limits = { maxTokens: options.maxTokens, includeReasoning: options.includeReasoning };
+        const { content, reasoning, finishReason, sessionId, resultEvent } = await this.streamingManager.collectClaudeStream(claudeStream, limits);
+        return { result: { output: content, resultEvent }, finishReason, sessionId, reasoning };
+    }
+
+    // The thinking of the accepted attempt, returned as reasoning_content
+    withReasoning(message, reasoning) {
+        return reasoning ? { ...message, reasoning_content: reasoning } : message;
+    }
+
+    // Returns { message } for an acceptable reply, or { error, code } describing the problem
+    checkReply(output, request, replyContext) {
+        const parsed = this.messageAdapter.claudeResponseToOpenAI(output, request.model, replyContext.hasTools, replyContext.tools);
+
+        if (replyContext.hasTools) {
+            const checked = this.messageAdapter.toolCalls.applyToolChoice(parsed, replyContext.toolChoice, replyContext.parallelToolCalls);
+            if (checked.error) {
+                return { error: checked.error, code: 'tool_choice_not_satisfied' };
+            }
+            if (checked.message.tool_calls) {
+                return { message: checked.message };
+            }
+        }
+
+        const prefill = this.messageAdapter.getPrefill(request.messages);
+        const continuation = this.messageAdapter.stripPrefill(parsed.content, prefill);
+
+        if (replyContext.hasResponseFormat) {
+            // With a prefill the JSON document is the prefill plus its continuation, and only the continuation is returned
+            const checked = this.messageAdapter.structuredOutput.check(prefill ? prefill + continuation : parsed.content, replyContext.responseFormat);
+            if (checked.error) {
+                return { error: checked.error, code: 'json_validation_failed' };
+            }
+            return { message: { ...parsed, content: prefill ? continuation : checked.content } };
+        }
+
+        // Stop sequences only apply to plain text replies
+        return { message: { ...parsed, content: this.messageAdapter.applyStopSequences(continuation, request.stop) } };
+    }
+
     sendJSON(res, statusCode, data) {
         res.writeHead(statusCode, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(data, null, 2));
     }
 
-    sendError(res, statusCode, message, type) {
-        const errorResponse = OpenAIModels.createErrorResponse(message, type);
+    sendError(res, statusCode, message, type, code = null) {
+        const errorResponse = OpenAIModels.createErrorResponse(message, type, code);
         this.sendJSON(res, statusCode, errorResponse);
     }
 }
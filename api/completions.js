@@ -0,0 +1,178 @@
+const { OpenAIModels, ValidationError } = require('../lib/models');
+const ClaudeCLI = require('../lib/claude-cli');
+const MessageAdapter = require('../lib/message-adapter');
+const { StreamingManager } = require('../lib/streaming');
+
+// Legacy text completions (POST /v1/completions)
+class CompletionsHandler {
+    constructor(config, logger, scheduler = null) {
+        this.config = config;
+        this.logger = logger;
+        this.claudeCLI = new ClaudeCLI(config, logger, scheduler);
+        this.messageAdapter = new MessageAdapter(config, logger);
+        this.streamingManager = new StreamingManager(config, logger);
+    }
+
+    async handle(req, res) {
+        const startTime = Date.now();
+
+        try {
+            const validatedRequest = OpenAIModels.validateCompletionRequest(req.body);
+            // Resolve the model up front: unknown models fail before any work and responses echo the model used
+            validatedRequest.model = this.messageAdapter.mapModelName(validatedRequest.model);
+
+            this.logger.info(`Text completion request: model=${validatedRequest.model}, prompts=${validatedRequest.prompts.length}, streaming=${validatedRequest.stream}`);
+
+            // Places for the runs are held before any streaming starts, so a full queue is a 429
+            // response with Retry-After rather than an error event; each prompt is a run of its own
+            req.processReservation = this.claudeCLI.reserveCapacity(validatedRequest.prompts.length);
+
+            if (validatedRequest.stream) {
+                await this.handleStreamingRequest(validatedRequest, req, res);
+            } else {
+                await this.handleNonStreamingRequest(validatedRequest, req, res);
+            }
+
+        } catch (error) {
+            this.logger.logError(error, 'text_completion');
+
+            // Queue full or queue timeout: tell the client when to come back
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', String(error.retryAfter));
+            }
+
+            if (error instanceof ValidationError) {
+                this.sendError(res, error.statusCode, error.message, error.code);
+            } else if (error.statusCode) {
+                this.sendError(res, error.statusCode, error.message, error.type || 'api_error', error.code);
+            } else {
+                this.sendError(res, 500, 'Internal server error', 'internal_error');
+            }
+        } finally {
+            if (req.processReservation) {
+                req.processReservation.release();
+            }
+
+            const duration = Date.now() - startTime;
+            this.logger.logPerformance('text_completion', duration);
+        }
+    }
+
+    async handleStreamingRequest(request, req, res) {
+        const stream = this.streamingManager.createCompletionStream(res, request);
+        const usages = [];
+
+        try {
+            // Each prompt becomes its own choice, streamed one after another
+            for (let index = 0; index < request.prompts.length; index++) {
+                const text = request.prompts[index];
+                const { systemPrompt, prompt } = this.messageAdapter.completionToClaudePrompt(text, request.suffix);
+
+                const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(request);
+                claudeOptions.systemPrompt = systemPrompt;
+                claudeOptions.stream = true;
+                claudeOptions.keepalive = () => this.streamingManager.sendKeepAlive(stream);
+                claudeOptions.reservation = req.processReservation;
+
+                stream.choiceIndex = index;
+                if (request.echo) {
+                    stream.writeText(text);
+                }
+
+                let streamedContent = '';
+                const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+
+                const { resultEvent } = await this.streamingManager.processClaudeStream(
+                    claudeStream,
+                    stream,
+                    (content) => {
+                        streamedContent += content;
+                    },
+                    claudeOptions
+                );
+
+                if (req.requestId) {
+                    this.logger.logClaudeInteraction(prompt, streamedContent, req.requestId, true);
+                }
+
+                usages.push(this.messageAdapter.createUsageStats(prompt, streamedContent, resultEvent));
+            }
+
+            // stream_options.include_usage: one last chunk with the usage of all prompts
+            stream.writeUsage(OpenAIModels.sumUsage(usages));
+
+        } catch (error) {
+            this.logger.error('Text completion streaming error:', error);
+
+            if (!stream.isClosed()) {
+                stream.writeError(error);
+            }
+        } finally {
+            if (!stream.isClosed()) {
+                stream.end();
+            }
+        }
+    }
+
+    async handleNonStreamingRequest(request, req, res) {
+        const results = await Promise.all(request.prompts.map(text => this.complete(text, request, req)));
+
+        const usage = OpenAIModels.sumUsage(results.map(result => result.usage));
+
+        const response = OpenAIModels.createTextCompletionResponse(
+            request,
+            results.map(result => result.text),
+            usage,
+            results.map(result => result.finishReason)
+        );
+
+        this.sendJSON(res, 200, response);
+    }
+
+    async complete(text, request, req) {
+        const { systemPrompt, prompt } = this.messageAdapter.completionToClaudePrompt(text, request.suffix);
+
+        const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(request);
+        claudeOptions.systemPrompt = systemPrompt;
+        claudeOptions.stream = false;
+        claudeOptions.reservation = req.processReservation;
+
+        let completion;
+        let finishReason = 'stop';
+        let resultEvent;
+
+        if (claudeOptions.maxTokens) {
+            // Streamed internally so the CLI can be stopped once max_tokens is reached
+            const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+            ({ content: completion, finishReason, resultEvent } = await this.streamingManager.collectClaudeStream(claudeStream, claudeOptions));
+        } else {
+            const result = await this.claudeCLI.completion(prompt, claudeOptions);
+            resultEvent = result.resultEvent;
+            // Kept raw like the streamed text: trimming would eat the continuation's leading
+            // whitespace, which echo and callers joining it to the prompt depend on
+            completion = this.messageAdapter.applyStopSequences(String(result.output || ''), request.stop);
+        }
+
+        if (req.requestId) {
+            this.logger.logClaudeInteraction(prompt, completion, req.requestId, false);
+        }
+
+        return {
+            text: request.echo ? text + completion : completion,
+            finishReason,
+            usage: this.messageAdapter.createUsageStats(prompt, completion, resultEvent)
+        };
+    }
+
+    sendJSON(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data, null, 2));
+    }
+
+    sendError(res, statusCode, message, type, code = null) {
+        const errorResponse = OpenAIModels.createErrorResponse(message, type, code);
+        this.sendJSON(res, statusCode, errorResponse);
+    }
+}
+
+module.exports = CompletionsHandler;
\ No newline at end of file
@@ -0,0 +1,163 @@
+const { ValidationError } = require('../lib/models');
+const { AnthropicModels } = require('../lib/anthropic');
+const ClaudeCLI = require('../lib/claude-cli');
+const ImageInputs = require('../lib/image-inputs');
+const MessageAdapter = require('../lib/message-adapter');
+const { StreamingManager } = require('../lib/streaming');
+
+// Anthropic Messages API (POST /v1/messages) on top of the same Claude CLI layer
+class MessagesHandler {
+    constructor(config, logger, scheduler = null) {
+        this.config = config;
+        this.logger = logger;
+        this.claudeCLI = new ClaudeCLI(config, logger, scheduler);
+        this.messageAdapter = new MessageAdapter(config, logger);
+        this.streamingManager = new StreamingManager(config, logger);
+        this.imageInputs = new ImageInputs(config, logger);
+    }
+
+    async handle(req, res) {
+        const startTime = Date.now();
+        let images = null;
+
+        try {
+            const validatedRequest = AnthropicModels.validateMessagesRequest(req.body);
+            // Resolve the model up front: unknown models fail before any work and responses echo the model used
+            validatedRequest.model = this.messageAdapter.mapModelName(validatedRequest.model);
+
+            this.logger.info(`Messages request: model=${validatedRequest.model}, streaming=${validatedRequest.stream}`);
+
+            // Reuse the chat completions plumbing with an equivalent OpenAI-style request
+            const chatRequest = AnthropicModels.toChatRequest(validatedRequest);
+            chatRequest.messages = await this.messageAdapter.fitContext(chatRequest, this.config.contextStrategy, this.claudeCLI);
+
+            // Image blocks are decoded before any streaming starts, so a bad image gets a normal error response
+            images = this.imageInputs.prepare(this.messageAdapter.collectImages(chatRequest.messages));
+
+            // Places for the runs are held before any streaming starts, so a full queue is a 429
+            // response with Retry-After rather than an error event
+            req.processReservation = this.claudeCLI.reserveCapacity();
+
+            if (chatRequest.stream) {
+                await this.handleStreamingRequest(chatRequest, req, res, images.files);
+            } else {
+                await this.handleNonStreamingRequest(chatRequest, req, res, images.files);
+            }
+
+        } catch (error) {
+            this.logger.logError(error, 'messages');
+
+            // Queue full or queue timeout: tell the client when to come back
+            if (error.retryAfter) {
+                res.setHeader('Retry-After', String(error.retryAfter));
+            }
+
+            if (error instanceof ValidationError) {
+                this.sendError(res, 400, error.message, 'invalid_request_error');
+            } else if (error.code === 'model_not_found') {
+                this.sendError(res, 404, error.message, 'not_found_error');
+            } else if (error.statusCode) {
+                this.sendError(res, error.statusCode, error.message, error.type || 'api_error');
+            } else {
+                this.sendError(res, 500, 'Internal server error', 'api_error');
+            }
+        } finally {
+            if (images) {
+                this.imageInputs.cleanup(images.dir);
+            }
+
+            if (req.processReservation) {
+                req.processReservation.release();
+            }
+
+            const duration = Date.now() - startTime;
+            this.logger.logPerformance('messages', duration);
+        }
+    }
+
+    async handleStreamingRequest(request, req, res, imageFiles = []) {
+        const { systemPrompt, prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(request.messages);
+        this.messageAdapter.logMessageProcessing(request.messages, prompt, systemPrompt);
+
+        const inputTokens = this.messageAdapter.estimateTokens(prompt + (systemPrompt || ''));
+        const stream = this.streamingManager.createAnthropicStream(res, request, inputTokens);
+        let streamedContent = '';
+
+        try {
+            const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(request);
+            claudeOptions.systemPrompt = systemPrompt;
+            claudeOptions.inputMessages = inputMessages;
+            claudeOptions.images = imageFiles;
+            claudeOptions.stream = true;
+            claudeOptions.keepalive = () => this.streamingManager.sendKeepAlive(stream);
+            claudeOptions.reservation = req.processReservation;
+
+            const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+
+            await this.streamingManager.processClaudeStream(
+                claudeStream,
+                stream,
+                (content) => {
+                    streamedContent += content;
+                },
+                claudeOptions
+            );
+
+            if (req.requestId) {
+                this.logger.logClaudeInteraction(prompt, streamedContent, req.requestId, true);
+            }
+
+        } catch (error) {
+            this.logger.error('Messages streaming error:', error);
+
+            if (!stream.isClosed()) {
+                stream.writeError(error);
+            }
+        } finally {
+            if (!stream.isClosed()) {
+                stream.end();
+            }
+        }
+    }
+
+    async handleNonStreamingRequest(request, req, res, imageFiles = []) {
+        const { systemPrompt, prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(request.messages);
+        this.messageAdapter.logMessageProcessing(request.messages, prompt, systemPrompt);
+
+        const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(request);
+        claudeOptions.systemPrompt = systemPrompt;
+        claudeOptions.inputMessages = inputMessages;
+        claudeOptions.images = imageFiles;
+        claudeOptions.stream = false;
+        claudeOptions.reservation = req.processReservation;
+
+        // max_tokens is required here, so the reply is always streamed internally and cut at the budget
+        const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+        const { content, finishReason, stopSequence, resultEvent } = await this.streamingManager.collectClaudeStream(claudeStream, claudeOptions);
+
+        if (req.requestId) {
+            this.logger.logClaudeInteraction(prompt, content, req.requestId, false);
+        }
+
+        const usage = this.messageAdapter.createUsageStats(prompt, content, resultEvent);
+
+        const response = AnthropicModels.createMessageResponse(request, content, usage, finishReason, stopSequence);
+        this.sendJSON(res, 200, response);
+    }
+
+    sendJSON(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data, null, 2));
+    }
+
+    sendError(res, statusCode, message, type) {
+        if (res.headersSent) {
+            return;
+        }
+
+        const errorResponse = AnthropicModels.createErrorResponse(message, type);
+        this.sendJSON(res, statusCode, errorResponse);
+    }
+}
+
+module.exports = MessagesHandler;
\ No newline at end of file
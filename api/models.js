@@ -1,10 +1,11 @@
 const { OpenAIModels } = require('../lib/models');
-const ClaudeCLI = require('../lib/claude-cli');
+const ModelCatalog = require('../lib/model-catalog');
 
 class ModelsHandler {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger;
+        this.catalog = new ModelCatalog(config);
     }
 
     async handle(req, res) {
@@ -21,35 +22,41 @@ class ModelsHandler {
         }
     }
 
+    async handleGet(req, res) {
+        try {
+            const model = this.catalog.get(req.params.id);
+
+            if (!model) {
+                this.sendError(res, 404, `The model '${req.params.id}' does not exist`, 'invalid_request_error', 'model_not_found');
+                return;
+            }
+
+            this.sendJSON(res, 200, model);
+
+        } catch (error) {
+            this.logger.error('Models endpoint error:', error);
+            this.sendError(res, 500, 'Internal server error', 'internal_error');
+        }
+    }
+
     async getAvailableModels() {
-        // Get models from Claude CLI
-        const discoveredModels = await this.discoverActualModels();
+        // Claude CLI doesn't enumerate models, so list the known Claude models and configured aliases
+        const models = this.catalog.list();
         
-        this.logger.info(`Discovered ${discoveredModels.length} models`);
+        this.logger.info(`Listing ${models.length} models`);
         return {
             object: 'list',
-            data: discoveredModels.map(model => ({
-                id: model,
-                object: 'model',
-                created: Math.floor(Date.now() / 1000),
-                owned_by: 'claude'
-            }))
+            data: models
         };
     }
 
-    async discoverActualModels() {
-        // Claude CLI doesn't provide a models list command, so return a mock model
-        this.logger.info('Claude CLI does not provide model enumeration, returning mock model');
-        return ['any'];
-    }
-
     sendJSON(res, statusCode, data) {
         res.writeHead(statusCode, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(data, null, 2));
     }
 
-    sendError(res, statusCode, message, type) {
-        const errorResponse = OpenAIModels.createErrorResponse(message, type);
+    sendError(res, statusCode, message, type, code = null) {
+        const errorResponse = OpenAIModels.createErrorResponse(message, type, code);
         this.sendJSON(res, statusCode, errorResponse);
     }
 }
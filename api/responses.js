@@ -0,0 +1,228 @@
+const { OpenAIModels, ValidationError, APIError } = require('../lib/models');
+const { ResponsesModels } = require('../lib/responses');
+const ClaudeCLI = require('../lib/claude-cli');
+const MessageAdapter = require('../lib/message-adapter');
+const { StreamingManager } = require('../lib/streaming');
+
+// OpenAI Responses API (POST /v1/responses) with server-side storage for previous_response_id
+class ResponsesHandler {
+    constructor(config, logger, responseStore, scheduler = null) {
+        this.config = config;
+        this.logger = logger;
+        this.responseStore = responseStore;
+        this.claudeCLI = new ClaudeCLI(config, logger, scheduler);
+        this.messageAdapter = new MessageAdapter(config, logger);
+        this.streamingManager = new StreamingManager(config, logger);
+    }
+
+    async handle(req, res) {
+        const startTime = Date.now();
+
+        try {
+            const validatedRequest = ResponsesModels.validateResponseRequest(req.body);
+            // Resolve the model up front: unknown models fail before any work and responses echo the model used
+            validatedRequest.model = this.messageAdapter.mapModelName(validatedRequest.model);
+
+            this.logger.info(`Responses request: model=${validatedRequest.model}, streaming=${validatedRequest.stream}, previous=${validatedRequest.previous_response_id || 'none'}`);
+
+            const history = this.loadHistory(validatedRequest.previous_response_id);
+            const chatRequest = ResponsesModels.toChatRequest(validatedRequest, history);
+            chatRequest.messages = await this.messageAdapter.fitContext(chatRequest, this.contextStrategy(validatedRequest), this.claudeCLI);
+
+            // Places for the runs are held before any streaming starts, so a full queue is a 429
+            // response with Retry-After rather than an error event
+            req.processReservation = this.claudeCLI.reserveCapacity();
+
+            if (validatedRequest.stream) {
+                await this.handleStreamingRequest(validatedRequest, chatRequest, history, req, res);
+            } else {
+                await this.handleNonStreamingRequest(validatedRequest, chatRequest, history, req, res);
+            }
+
+        } catch (error) {
+            this.handleError(res, error, 'responses');
+        } finally {
+            if (req.processReservation) {
+                req.processReservation.release();
+            }
+
+            const duration = Date.now() - startTime;
+            this.logger.logPerformance('responses', duration);
+        }
+    }
+
+    async handleGet(req, res) {
+        try {
+            const entry = this.responseStore.get(req.params.id);
+            if (!entry) {
+                throw this.notFound(req.params.id);
+            }
+
+            this.sendJSON(res, 200, entry.response);
+        } catch (error) {
+            this.handleError(res, error, 'responses_get');
+        }
+    }
+
+    async handleDelete(req, res) {
+        try {
+            if (!this.responseStore.get(req.params.id)) {
+                throw this.notFound(req.params.id);
+            }
+
+            this.responseStore.delete(req.params.id);
+            this.sendJSON(res, 200, { id: req.params.id, object: 'response', deleted: true });
+        } catch (error) {
+            this.handleError(res, error, 'responses_delete');
+        }
+    }
+
+    // truncation "auto" or "disabled" overrides the configured CONTEXT_STRATEGY
+    contextStrategy(request) {
+        if (request.truncation) {
+            return request.truncation === 'auto' ? 'truncate' : 'error';
+        }
+
+        return this.config.contextStrategy;
+    }
+
+    loadHistory(previousResponseId) {
+        if (!previousResponseId) {
+            return [];
+        }
+
+        const entry = this.responseStore.get(previousResponseId);
+        if (!entry) {
+            throw this.notFound(previousResponseId);
+        }
+
+        return entry.messages;
+    }
+
+    async handleStreamingRequest(request, chatRequest, history, req, res) {
+        const { systemPrompt, prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(chatRequest.messages);
+        this.messageAdapter.logMessageProcessing(chatRequest.messages, prompt, systemPrompt);
+
+        const response = ResponsesModels.createResponse(request, { status: 'in_progress' });
+        const stream = this.streamingManager.createResponsesStream(res, chatRequest, response);
+
+        try {
+            const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(chatRequest);
+            claudeOptions.systemPrompt = systemPrompt;
+            claudeOptions.inputMessages = inputMessages;
+            claudeOptions.stream = true;
+            claudeOptions.keepalive = () => this.streamingManager.sendKeepAlive(stream);
+            claudeOptions.reservation = req.processReservation;
+
+            const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+            const { content, finishReason, resultEvent } = await this.streamingManager.processClaudeStream(claudeStream, stream, null, claudeOptions);
+
+            if (req.requestId) {
+                this.logger.logClaudeInteraction(prompt, content, req.requestId, true);
+            }
+
+            const usage = this.messageAdapter.createUsageStats(prompt, content, resultEvent);
+            const completed = this.finishResponse(request, history, response, stream.itemId, content, usage, finishReason);
+            stream.complete(completed);
+
+        } catch (error) {
+            this.logger.error('Responses streaming error:', error);
+
+            if (!stream.isClosed()) {
+                stream.writeError(error);
+            }
+        } finally {
+            if (!stream.isClosed()) {
+                stream.end();
+            }
+        }
+    }
+
+    async handleNonStreamingRequest(request, chatRequest, history, req, res) {
+        const { systemPrompt, prompt, inputMessages } = this.messageAdapter.messagesToClaudePrompt(chatRequest.messages);
+        this.messageAdapter.logMessageProcessing(chatRequest.messages, prompt, systemPrompt);
+
+        const claudeOptions = this.messageAdapter.openAIStreamToClaudeOptions(chatRequest);
+        claudeOptions.systemPrompt = systemPrompt;
+        claudeOptions.inputMessages = inputMessages;
+        claudeOptions.stream = false;
+        claudeOptions.reservation = req.processReservation;
+
+        let content;
+        let finishReason = 'stop';
+        let resultEvent;
+
+        if (claudeOptions.maxTokens) {
+            // Streamed internally so the CLI can be stopped once max_output_tokens is reached
+            const claudeStream = this.claudeCLI.streamingCompletion(prompt, claudeOptions);
+            ({ content, finishReason, resultEvent } = await this.streamingManager.collectClaudeStream(claudeStream, claudeOptions));
+        } else {
+            const result = await this.claudeCLI.completion(prompt, claudeOptions);
+            resultEvent = result.resultEvent;
+            content = this.messageAdapter.stripPrefill(this.messageAdapter.parseClaudeOutput(result.output), claudeOptions.prefill);
+        }
+
+        if (req.requestId) {
+            this.logger.logClaudeInteraction(prompt, content, req.requestId, false);
+        }
+
+        const response = ResponsesModels.createResponse(request);
+        const usage = this.messageAdapter.createUsageStats(prompt, content, resultEvent);
+        const completed = this.finishResponse(request, history, response, ResponsesModels.createItemId(), content, usage, finishReason);
+
+        this.sendJSON(res, 200, completed);
+    }
+
+    // Fill in output and usage, then store the turn so it can be continued
+    finishResponse(request, history, response, itemId, content, usage, finishReason = 'stop') {
+        // Replies cut off at max_output_tokens are reported as incomplete
+        const incomplete = finishReason === 'length';
+        const completed = {
+            ...response,
+            status: incomplete ? 'incomplete' : 'completed',
+            incomplete_details: incomplete ? { reason: 'max_output_tokens' } : null,
+            output: [ResponsesModels.createOutputMessage(itemId, content, incomplete ? 'incomplete' : 'completed')],
+            usage: ResponsesModels.createUsage(usage)
+        };
+
+        if (request.store) {
+            const messages = history.concat(request.input, [{ role: 'assistant', content }]);
+            this.responseStore.save(completed, messages);
+        }
+
+        return completed;
+    }
+
+    notFound(id) {
+        return new APIError(`Response with id '${id}' not found.`, 404, 'invalid_request_error', 'response_not_found');
+    }
+
+    handleError(res, error, context) {
+        this.logger.logError(error, context);
+
+        // Queue full or queue timeout: tell the client when to come back
+        if (error.retryAfter) {
+            res.setHeader('Retry-After', String(error.retryAfter));
+        }
+
+        if (error instanceof ValidationError) {
+            this.sendError(res, error.statusCode, error.message, error.code);
+        } else if (error.statusCode) {
+            this.sendError(res, error.statusCode, error.message, error.type || 'api_error', error.code);
+        } else {
+            this.sendError(res, 500, 'Internal server error', 'internal_error');
+        }
+    }
+
+    sendJSON(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data, null, 2));
+    }
+
+    sendError(res, statusCode, message, type, code = null) {
+        const errorResponse = OpenAIModels.createErrorResponse(message, type, code);
+        this.sendJSON(res, statusCode, errorResponse);
+    }
+}
+
+module.exports = ResponsesHandler;
\ No newline at end of file
@@ -0,0 +1,83 @@
+const { OpenAIModels, ValidationError } = require('../lib/models');
+
+// Explicit sessions (POST/GET/DELETE /v1/sessions). Chat completions attach to one with the
+// X-Claude-Session header; see api/chat.js
+class SessionsHandler {
+    constructor(config, logger, sessionManager) {
+        this.config = config;
+        this.logger = logger;
+        this.sessionManager = sessionManager;
+    }
+
+    async handleCreate(req, res) {
+        try {
+            const session = this.sessionManager.create(req.body || {});
+            this.logger.info(`Session created: ${session.id}`);
+
+            this.sendJSON(res, 200, this.sessionManager.toJSON(session));
+        } catch (error) {
+            this.handleError(res, error, 'sessions_create');
+        }
+    }
+
+    async handleList(req, res) {
+        try {
+            const data = this.sessionManager.list().map(session => this.sessionManager.toJSON(session));
+            this.sendJSON(res, 200, { object: 'list', data });
+        } catch (error) {
+            this.handleError(res, error, 'sessions_list');
+        }
+    }
+
+    async handleGet(req, res) {
+        try {
+            const session = this.sessionManager.get(req.params.id);
+            if (!session) {
+                throw this.sessionManager.notFound(req.params.id);
+            }
+
+            this.sendJSON(res, 200, this.sessionManager.toJSON(session));
+        } catch (error) {
+            this.handleError(res, error, 'sessions_get');
+        }
+    }
+
+    async handleDelete(req, res) {
+        try {
+            if (!this.sessionManager.get(req.params.id)) {
+                throw this.sessionManager.notFound(req.params.id);
+            }
+
+            this.sessionManager.delete(req.params.id);
+            this.logger.info(`Session deleted: ${req.params.id}`);
+
+            this.sendJSON(res, 200, { id: req.params.id, object: 'session', deleted: true });
+        } catch (error) {
+            this.handleError(res, error, 'sessions_delete');
+        }
+    }
+
+    handleError(res, error, context) {
+        this.logger.logError(error, context);
+
+        if (error instanceof ValidationError) {
+            this.sendError(res, error.statusCode, error.message, error.code);
+        } else if (error.statusCode) {
+            this.sendError(res, error.statusCode, error.message, error.type || 'api_error', error.code);
+        } else {
+            this.sendError(res, 500, 'Internal server error', 'internal_error');
+        }
+    }
+
+    sendJSON(res, statusCode, data) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data, null, 2));
+    }
+
+    sendError(res, statusCode, message, type, code = null) {
+        const errorResponse = OpenAIModels.createErrorResponse(message, type, code);
+        this.sendJSON(res, statusCode, errorResponse);
+    }
+}
+
+module.exports = SessionsHandler;
\ No newline at end of file
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { ValidationError } = require('./models');
+
+// Map OpenAI finish reasons onto Anthropic stop reasons
+const STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use'
+};
+
+class AnthropicModels {
+    static validateMessagesRequest(body) {
+        if (!body || typeof body !== 'object') {
+            throw new ValidationError('Request body must be an object');
+        }
+
+        if (!body.model || typeof body.model !== 'string') {
+            throw new ValidationError('model is required and must be a string', 'model');
+        }
+
+        if (!Number.isInteger(body.max_tokens) || body.max_tokens < 1) {
+            throw new ValidationError('max_tokens is required and must be a positive integer', 'max_tokens');
+        }
+
+        if (!Array.isArray(body.messages) || body.messages.length === 0) {
+            throw new ValidationError('messages is required and must be a non-empty array', 'messages');
+        }
+
+        if (body.tools !== undefined) {
+            throw new ValidationError('tools are not supported on /v1/messages; use /v1/chat/completions', 'tools');
+        }
+
+        const validated = {
+            model: body.model,
+            max_tokens: body.max_tokens,
+            stream: Boolean(body.stream),
+            system: this.validateSystem(body.system),
+            messages: body.messages.flatMap((message, index) => {
+                try {
+                    return this.validateMessage(message);
+                } catch (error) {
+                    throw new ValidationError(`Invalid message at index ${index}: ${error.message}`, `messages[${index}]`);
+                }
+            })
+        };
+
+        if (body.stop_sequences !== undefined) {
+            if (!Array.isArray(body.stop_sequences) || body.stop_sequences.some(seq => typeof seq !== 'string')) {
+                throw new ValidationError('stop_sequences must be an array of strings', 'stop_sequences');
+            }
+            validated.stop_sequences = body.stop_sequences;
+        }
+
+        if (body.temperature !== undefined) {
+            if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 1) {
+                throw new ValidationError('temperature must be a number between 0 and 1', 'temperature');
+            }
+            validated.temperature = body.temperature;
+        }
+
+        if (body.top_p !== undefined) {
+            if (typeof body.top_p !== 'number' || body.top_p < 0 || body.top_p > 1) {
+                throw new ValidationError('top_p must be a number between 0 and 1', 'top_p');
+            }
+            validated.top_p = body.top_p;
+        }
+
+        return validated;
+    }
+
+    static validateSystem(system) {
+        if (system === undefined || system === null) {
+            return null;
+        }
+
+        if (typeof system === 'string') {
+            return system;
+        }
+
+        if (Array.isArray(system)) {
+            return this.extractText(system, 'system');
+        }
+
+        throw new ValidationError('system must be a string or an array of text blocks', 'system');
+    }
+
+    // An Anthropic message becomes the OpenAI-style messages of the chat completions path:
+    // tool_result blocks become tool messages (ahead of the rest, as they answer the previous
+    // turn), tool_use blocks become tool_calls and image blocks become image_url parts.
+    // Thinking blocks from earlier replies are dropped.
+    static validateMessage(message) {
+        if (!message || typeof message !== 'object') {
+            throw new ValidationError('Message must be an object', 'message');
+        }
+
+        if (message.role !== 'user' && message.role !== 'assistant') {
+            throw new ValidationError('Message role must be one of: user, assistant', 'message.role');
+        }
+
+        if (typeof message.content === 'string') {
+            return [{ role: message.role, content: message.content }];
+        }
+
+        if (!Array.isArray(message.content)) {
+            throw new ValidationError('Message content must be a string or an array of content blocks', 'message.content');
+        }
+
+        const toolResults = [];
+        const toolCalls = [];
+        const parts = [];
+
+        message.content.forEach((block, index) => {
+            const type = block && block.type ? block.type : typeof block;
+            const field = `message.content[${index}]`;
+
+            if (['image', 'tool_result'].includes(type) && message.role !== 'user') {
+                throw new ValidationError(`${type} blocks are only allowed in user messages`, field);
+            }
+
+            if (type === 'tool_use' && message.role !== 'assistant') {
+                throw new ValidationError('tool_use blocks are only allowed in assistant messages', field);
+            }
+
+            switch (type) {
+                case 'text':
+                    parts.push({ type: 'text', text: this.extractText([block], field) });
+                    break;
+
+                case 'image':
+                    parts.push({ type: 'image_url', image_url: { url: this.imageUrl(block, field) } });
+                    break;
+
+                case 'tool_use':
+                    if (typeof block.id !== 'string' || typeof block.name !== 'string' || !block.name) {
+                        throw new ValidationError('tool_use blocks require an id and a name', field);
+                    }
+                    toolCalls.push({ id: block.id, type: 'function', function: { name: block.name, arguments: JSON.stringify(block.input || {}) } });
+                    break;
+
+                case 'tool_result':
+                    if (typeof block.tool_use_id !== 'string') {
+                        throw new ValidationError('tool_result blocks require a tool_use_id', field);
+                    }
+                    toolResults.push({ role: 'tool', tool_call_id: block.tool_use_id, content: this.toolResultText(block, field) });
+                    break;
+
+                case 'thinking':
+                case 'redacted_thinking':
+                    break;
+
+                default:
+                    throw new ValidationError(`Unsupported content block type: ${type}`, field);
+            }
+        });
+
+        const messages = toolResults;
+        const text = parts.filter(part => part.type === 'text').map(part => part.text).join('\n');
+
+        if (toolCalls.length > 0) {
+            messages.push({ role: 'assistant', content: text || null, tool_calls: toolCalls });
+        } else if (parts.some(part => part.type === 'image_url')) {
+            messages.push({ role: message.role, content: parts });
+        } else if (parts.length > 0) {
+            messages.push({ role: message.role, content: text });
+        }
+
+        if (messages.length === 0) {
+            throw new ValidationError('Message must contain at least one text, image, tool_use or tool_result block', 'message.content');
+        }
+
+        return messages;
+    }
+
+    // base64 sources become data: URIs; url sources go through the same checks as image_url
+    // (local files only, see ImageInputs)
+    static imageUrl(block, field) {
+        const source = block.source || {};
+
+        if (source.type === 'base64' && typeof source.media_type === 'string' && typeof source.data === 'string') {
+            return `data:${source.media_type};base64,${source.data}`;
+        }
+
+        if (source.type === 'url' && typeof source.url === 'string') {
+            return source.url;
+        }
+
+        throw new ValidationError('image blocks need a base64 or url source', field);
+    }
+
+    // Tool results are text in the transcript; is_error results are marked as errors
+    static toolResultText(block, field) {
+        let text;
+        if (block.content === undefined || block.content === null) {
+            text = '';
+        } else if (typeof block.content === 'string') {
+            text = block.content;
+        } else if (Array.isArray(block.content)) {
+            text = this.extractText(block.content, field);
+        } else {
+            throw new ValidationError('tool_result content must be a string or an array of text blocks', field);
+        }
+
+        return block.is_error ? `Error: ${text}` : text;
+    }
+
+    static extractText(blocks, field) {
+        return blocks.map(block => {
+            if (!block || block.type !== 'text' || typeof block.text !== 'string') {
+                const type = block && block.type ? block.type : typeof block;
+                throw new ValidationError(`Unsupported content block type: ${type}`, field);
+            }
+            return block.text;
+        }).join('\n');
+    }
+
+    // Convert a validated Anthropic request into the OpenAI-style messages MessageAdapter expects
+    static toChatMessages(request) {
+        const messages = [];
+
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+
+        return messages.concat(request.messages);
+    }
+
+    // Build the OpenAI-style request fields shared with the chat completions path
+    static toChatRequest(request) {
+        return {
+            model: request.model,
+            messages: this.toChatMessages(request),
+            stream: request.stream,
+            max_tokens: request.max_tokens,
+            stop: request.stop_sequences,
+            temperature: request.temperature,
+            top_p: request.top_p
+        };
+    }
+
+    static createMessageId() {
+        return `msg_${crypto.randomBytes(12).toString('hex')}`;
+    }
+
+    // A reply cut at one of the request's stop_sequences ends with reason 'stop_sequence'
+    static toStopReason(finishReason, stopSequence = null) {
+        if (stopSequence) {
+            return 'stop_sequence';
+        }
+
+        return STOP_REASONS[finishReason] || 'end_turn';
+    }
+
+    static createMessageResponse(request, text, usage = {}, finishReason = 'stop', stopSequence = null) {
+        return {
+            id: this.createMessageId(),
+            type: 'message',
+            role: 'assistant',
+            model: request.model,
+            content: [{ type: 'text', text }],
+            stop_reason: this.toStopReason(finishReason, stopSequence),
+            stop_sequence: stopSequence,
+            usage: this.createUsage(usage)
+        };
+    }
+
+    // Anthropic counts cache reads and cache writes separately from input_tokens
+    static createUsage(usage = {}) {
+        const details = usage.prompt_tokens_details || {};
+        const cachedTokens = details.cached_tokens || 0;
+        const cacheCreationTokens = details.cache_creation_tokens || 0;
+        const result = {
+            input_tokens: (usage.prompt_tokens || 0) - cachedTokens - cacheCreationTokens,
+            cache_creation_input_tokens: cacheCreationTokens,
+            cache_read_input_tokens: cachedTokens,
+            output_tokens: usage.completion_tokens || 0
+        };
+
+        if (usage.cost_usd !== undefined && usage.cost_usd !== null) {
+            result.cost_usd = usage.cost_usd;
+        }
+
+        return result;
+    }
+
+    static createErrorResponse(message, type = 'api_error') {
+        return {
+            type: 'error',
+            error: {
+                type,
+                message
+            }
+        };
+    }
+}
+
+module.exports = { AnthropicModels };
\ No newline at end of file
@@ -4,6 +4,7 @@ const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { NDJSONDecoder } = require('./claude-events');
 
 class ClaudeProcess extends EventEmitter {
     constructor(config, logger) {
@@ -46,10 +47,12 @@ class ClaudeProcess extends EventEmitter {
 
             this.isRunning = true;
             this.buffer = '';
+            const decoder = new NDJSONDecoder();
+            const events = [];
 
             // Send prompt via stdin
             if (prompt) {
-                this.process.stdin.write(prompt);
+                this.process.stdin.write(this.buildInput(prompt, options));
                 this.process.stdin.end();
             }
 
@@ -57,6 +60,7 @@ class ClaudeProcess extends EventEmitter {
             this.process.stdout.on('data', (data) => {
                 const chunk = data.toString();
                 this.buffer += chunk;
+                events.push(...decoder.write(data));
                 this.emit('data', chunk);
             });
 
@@ -85,8 +89,20 @@ class ClaudeProcess extends EventEmitter {
                 );
 
                 if (code === 0) {
+                    events.push(...decoder.end());
+                    // `--output-format json` prints a single result event with the reply, usage and cost;
+                    // with stream-json output the last one belongs to the final prompt
+                    const resultEvent = events.filter(event => event.type === 'result').pop() || null;
+
+                    if (resultEvent && resultEvent.isError) {
+                        reject(new Error(`Claude CLI returned an error: ${resultEvent.text}`));
+                        return;
+                    }
+
                     resolve({
-                        output: this.buffer,
+                        // The reply text; raw stdout if it was not a JSON result
+                        output: resultEvent ? resultEvent.text : this.buffer,
+                        resultEvent,
                         exitCode: code,
                         duration
                     });
@@ -147,13 +163,13 @@ class ClaudeProcess extends EventEmitter {
         this.process = spawn(this.config.claudeCliPath, args, spawnOptions);
 
         this.isRunning = true;
-        let buffer = '';
+        let outputBytes = 0;
         let errorBuffer = '';
         let chunkCount = 0;
 
         // Send prompt via stdin
         if (prompt) {
-            this.process.stdin.write(prompt);
+            this.process.stdin.write(this.buildInput(prompt, options));
             this.process.stdin.end();
         }
 
@@ -176,32 +192,20 @@ class ClaudeProcess extends EventEmitter {
                 throw new Error(`Failed to start Claude CLI: ${error.message}`);
             });
 
-            // Process stdout chunks
+            // Process stdout chunks; a JSON line may span several chunks, so lines are
+            // decoded incrementally and only complete ones become events
+            const decoder = new NDJSONDecoder();
+
             for await (const chunk of this.streamToAsyncIterator(stdout)) {
                 chunkCount++;
-                buffer += chunk;
+                outputBytes += chunk.length;
                 this.logger.debug(`Received chunk ${chunkCount}, size: ${chunk.length}`);
-                
-                // Try to parse as JSON lines or structured output
-                const lines = chunk.split('\n');
-                for (const line of lines) {
-                    if (line.trim()) {
-                        try {
-                            const parsed = this.parseClaudeOutput(line.trim());
-                            this.logger.debug('Parsed Claude output:', parsed);
-                            yield parsed;
-                        } catch (parseError) {
-                            this.logger.warn('Failed to parse Claude output line:', { line: line.trim(), error: parseError.message });
-                            // Yield as raw text
-                            yield {
-                                type: 'text',
-                                content: line.trim()
-                            };
-                        }
-                    }
-                }
+
+                yield* this.emitEvents(decoder.write(chunk));
             }
 
+            yield* this.emitEvents(decoder.end());
+
             // Wait for process to complete
             const exitCode = await this.waitForExit();
             
@@ -212,7 +216,7 @@ class ClaudeProcess extends EventEmitter {
                 this.logger.warn('Claude CLI stderr output:', errorBuffer);
             }
             
-            if (chunkCount === 0 && buffer.length === 0) {
+            if (chunkCount === 0 && outputBytes === 0) {
                 this.logger.error('No output received from Claude CLI');
                 throw new Error('No output from Claude CLI - check model name and authentication');
             }
@@ -227,6 +231,10 @@ class ClaudeProcess extends EventEmitter {
             
             throw new Error(`Claude CLI streaming error: ${error.message}${errorBuffer ? '. Stderr: ' + errorBuffer : ''}`);
         } finally {
+            // The consumer may stop reading early (client disconnect, stop sequence matched)
+            if (this.process.exitCode === null && this.process.signalCode === null) {
+                this.kill();
+            }
             this.isRunning = false;
             
             // Cleanup system prompt file if it was created
@@ -236,6 +244,53 @@ class ClaudeProcess extends EventEmitter {
         }
     }
 
+    // What is written to stdin: the prompt itself; with images one stream-json user message
+    // holding the prompt followed by each image, labelled to match its [Image #n] marker; or
+    // with inputMessages (stream-json transcripts) one stream-json line per message
+    buildInput(prompt, options = {}) {
+        const images = options.images || [];
+
+        if (options.inputMessages) {
+            return options.inputMessages.map(message => {
+                // Image parts name the image by number; the data is read here
+                const content = message.content.map(part => part.type === 'image' ? this.imageBlock(images[part.number - 1]) : part);
+                return JSON.stringify({ type: message.role, message: { role: message.role, content } }) + '\n';
+            }).join('');
+        }
+
+        if (images.length === 0) {
+            return prompt;
+        }
+
+        const content = [{ type: 'text', text: prompt }];
+        images.forEach((image, index) => {
+            content.push({ type: 'text', text: `Image #${index + 1}:` });
+            content.push(this.imageBlock(image));
+        });
+
+        return JSON.stringify({ type: 'user', message: { role: 'user', content } }) + '\n';
+    }
+
+    imageBlock(image) {
+        return {
+            type: 'image',
+            source: { type: 'base64', media_type: image.mediaType, data: fs.readFileSync(image.path).toString('base64') }
+        };
+    }
+
+    // Typed events for the stream consumer; stray non-JSON lines are logged and dropped
+    *emitEvents(events) {
+        for (const event of events) {
+            if (event.type === 'invalid') {
+                this.logger.warn('Ignoring non-JSON Claude CLI output line:', { line: event.line });
+                continue;
+            }
+
+            this.logger.debug('Parsed Claude event:', event.type);
+            yield event;
+        }
+    }
+
     createSystemPromptFile(systemPrompt) {
         const tempDir = os.tmpdir();
         const tempFile = path.join(tempDir, `claude-system-prompt-${Date.now()}-${Math.random().toString(36).substring(2, 11)}.txt`);
@@ -273,6 +328,11 @@ class ClaudeProcess extends EventEmitter {
             args.push('--system-prompt-file', options.systemPromptFile);
         }
 
+        // Continue an existing CLI session; the prompt then holds only the new turns
+        if (options.resume) {
+            args.push('--resume', options.resume);
+        }
+
         // Add max turns
         if (options.maxTurns) {
             args.push('--max-turns', options.maxTurns.toString());
@@ -281,10 +341,24 @@ class ClaudeProcess extends EventEmitter {
         // Add print flag for non-interactive mode
         args.push('--print');
 
-        // Add streaming output format if needed
-        if (options.stream) {
+        // Images and message transcripts can only be sent as stream-json input, which requires stream-json output
+        const streamJsonInput = Boolean((options.images && options.images.length > 0) || options.inputMessages);
+
+        // Add streaming output format if needed; otherwise a single JSON result with usage and cost
+        if (options.stream || streamJsonInput) {
             args.push('--output-format', 'stream-json');
             args.push('--verbose'); // Required for stream-json
+        } else {
+            args.push('--output-format', 'json');
+        }
+
+        if (options.stream) {
+            // Token-level text deltas (stream_event) in addition to complete messages
+            args.push('--include-partial-messages');
+        }
+
+        if (streamJsonInput) {
+            args.push('--input-format', 'stream-json');
         }
 
         // Tools are enabled via allowedTools/disallowedTools lists
@@ -309,20 +383,6 @@ class ClaudeProcess extends EventEmitter {
         return args;
     }
 
-    parseClaudeOutput(line) {
-        try {
-            // Try to parse as JSON first (for structured output)
-            const parsed = JSON.parse(line);
-            return parsed;
-        } catch (error) {
-            // If not JSON, treat as raw text
-            return {
-                type: 'text',
-                content: line
-            };
-        }
-    }
-
     async *streamToAsyncIterator(stream) {
         let buffer = '';
         
@@ -335,7 +395,8 @@ class ClaudeProcess extends EventEmitter {
                 return new Promise((resolve, reject) => {
                     const onData = (chunk) => {
                         cleanup();
-                        resolve({ value: chunk.toString(), done: false });
+                        // Raw bytes: decoding is left to NDJSONDecoder so split UTF-8 sequences survive
+                        resolve({ value: chunk, done: false });
                     };
                     
                     const onEnd = () => {
@@ -396,9 +457,23 @@ class ClaudeProcess extends EventEmitter {
 }
 
 class ClaudeCLI {
-    constructor(config, logger) {
+    constructor(config, logger, scheduler = null) {
         this.config = config;
         this.logger = logger;
+        // Shared ProcessScheduler that limits concurrent CLI processes; none means no limit
+        this.scheduler = scheduler;
+    }
+
+    // Hold process places for the `count` runs a request starts, throwing a 429 right away when
+    // they would not fit; lets streaming handlers reject a request before they start the event
+    // stream. Runs take their place through options.reservation; release() the rest when done.
+    reserveCapacity(count = 1) {
+        return this.scheduler ? this.scheduler.reserve(count) : { release() {} };
+    }
+
+    // Wait for a process slot; options.keepalive is called periodically while queued
+    async acquireSlot(options) {
+        return this.scheduler ? this.scheduler.acquire(options.keepalive || null, options.reservation || null) : () => {};
     }
 
     async verify() {
@@ -417,13 +492,27 @@ class ClaudeCLI {
     }
 
     async completion(prompt, options = {}) {
-        const process = new ClaudeProcess(this.config, this.logger);
-        return await process.execute(prompt, options);
+        const release = await this.acquireSlot(options);
+
+        try {
+            const process = new ClaudeProcess(this.config, this.logger);
+            // Copy options: execute() records per-process state (e.g. the system prompt file) on them
+            return await process.execute(prompt, { ...options });
+        } finally {
+            release();
+        }
     }
 
     async *streamingCompletion(prompt, options = {}) {
-        const process = new ClaudeProcess(this.config, this.logger);
-        yield* process.executeStreaming(prompt, { ...options, stream: true });
+        const release = await this.acquireSlot(options);
+
+        try {
+            const process = new ClaudeProcess(this.config, this.logger);
+            yield* process.executeStreaming(prompt, { ...options, stream: true });
+        } finally {
+            // Also runs when the consumer stops early, which ends the process
+            release();
+        }
     }
 
     // Helper method to convert messages to prompt format
@@ -0,0 +1,178 @@
+const { StringDecoder } = require('string_decoder');
+
+// Typed view of the Claude CLI's JSON output (--output-format json / stream-json).
+// Every event has a `type` and keeps the original object as `raw`:
+//   init           { sessionId, model, tools }          system/init, first line of a run
+//   system         { subtype }                          other system messages
+//   assistant      { text, thinking, toolUses }         a complete assistant message
+//   tool_result    { results }                          user message carrying tool results
+//   text_delta     { index, text }                      partial message text (stream_event)
+//   thinking_delta { index, thinking }                  partial message thinking (stream_event)
+//   stream_event   { event }                            any other partial message event
+//   result         { text, isError, sessionId, usage, costUsd }   last line of a run
+//   invalid        { line }                             a line that is not JSON
+//   unknown        {}                                   anything else
+class ClaudeEvents {
+    static parseLine(line) {
+        let raw;
+        try {
+            raw = JSON.parse(line);
+        } catch (error) {
+            return { type: 'invalid', line, raw: null };
+        }
+
+        return this.fromRaw(raw);
+    }
+
+    static fromRaw(raw) {
+        if (!raw || typeof raw !== 'object') {
+            return { type: 'unknown', raw };
+        }
+
+        switch (raw.type) {
+            case 'system':
+                if (raw.subtype === 'init') {
+                    return { type: 'init', sessionId: raw.session_id || null, model: raw.model || null, tools: raw.tools || [], raw };
+                }
+                return { type: 'system', subtype: raw.subtype || null, raw };
+
+            case 'assistant':
+                return this.fromAssistantMessage(raw);
+
+            case 'user':
+                return this.fromUserMessage(raw);
+
+            case 'stream_event':
+                return this.fromStreamEvent(raw);
+
+            case 'result':
+                return {
+                    type: 'result',
+                    text: typeof raw.result === 'string' ? raw.result : '',
+                    isError: Boolean(raw.is_error),
+                    sessionId: raw.session_id || null,
+                    usage: raw.usage || null,
+                    costUsd: typeof raw.total_cost_usd === 'number' ? raw.total_cost_usd : null,
+                    raw
+                };
+
+            default:
+                return { type: 'unknown', raw };
+        }
+    }
+
+    static fromAssistantMessage(raw) {
+        const content = (raw.message && raw.message.content) || [];
+        const blocks = Array.isArray(content) ? content : [{ type: 'text', text: String(content) }];
+
+        return {
+            type: 'assistant',
+            text: this.extractText(blocks),
+            thinking: blocks.filter(block => block && block.type === 'thinking').map(block => block.thinking || '').join(''),
+            toolUses: blocks
+                .filter(block => block && block.type === 'tool_use')
+                .map(block => ({ id: block.id || null, name: block.name, input: block.input || {} })),
+            raw
+        };
+    }
+
+    static fromUserMessage(raw) {
+        const content = (raw.message && raw.message.content) || [];
+        const blocks = Array.isArray(content) ? content : [];
+
+        return {
+            type: 'tool_result',
+            results: blocks
+                .filter(block => block && block.type === 'tool_result')
+                .map(block => ({
+                    toolUseId: block.tool_use_id || null,
+                    content: typeof block.content === 'string' ? block.content : this.extractText(block.content),
+                    isError: Boolean(block.is_error)
+                })),
+            raw
+        };
+    }
+
+    static fromStreamEvent(raw) {
+        const event = raw.event || {};
+        const delta = event.delta || {};
+
+        if (event.type === 'content_block_delta' && delta.type === 'text_delta') {
+            return { type: 'text_delta', index: event.index || 0, text: delta.text || '', raw };
+        }
+
+        if (event.type === 'content_block_delta' && delta.type === 'thinking_delta') {
+            return { type: 'thinking_delta', index: event.index || 0, thinking: delta.thinking || '', raw };
+        }
+
+        return { type: 'stream_event', event, raw };
+    }
+
+    // Text of the `text` blocks in a content array
+    static extractText(content) {
+        if (typeof content === 'string') {
+            return content;
+        }
+
+        if (!Array.isArray(content)) {
+            return '';
+        }
+
+        return content
+            .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+            .map(block => block.text)
+            .join('');
+    }
+
+    // Reply text with Claude Code markup removed: tool use and thinking tags, tool and file
+    // markers. Used for whole replies only; deltas are forwarded as is. Transcript prefixes
+    // are the transcript renderer's business (see transcript-renderers.js).
+    static cleanText(text) {
+        if (!text || typeof text !== 'string') {
+            return text || '';
+        }
+
+        return text
+            .replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '')
+            .replace(/<thinking>[\s\S]*?<\/antml:thinking>/g, '')
+            .replace(/\[Tool Use:.*?\]/g, '')
+            .replace(/\[File: .*?\]/g, '')
+            .replace(/\n\s*\n\s*\n/g, '\n\n')
+            .trim();
+    }
+}
+
+// Incremental NDJSON decoder. Bytes go through a streaming UTF-8 decoder so multi-byte
+// characters split across reads survive, and a line is only parsed once it is complete.
+class NDJSONDecoder {
+    constructor() {
+        this.decoder = new StringDecoder('utf8');
+        this.pending = '';
+    }
+
+    // Returns the events for every line completed by this chunk
+    write(chunk) {
+        this.pending += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+        const lines = this.pending.split('\n');
+        this.pending = lines.pop();
+
+        return this.parseLines(lines);
+    }
+
+    // Parse what is left; --output-format json does not end its single line with a newline
+    end() {
+        const rest = this.pending + this.decoder.end();
+        this.pending = '';
+
+        return this.parseLines([rest]);
+    }
+
+    parseLines(lines) {
+        return lines
+            .filter(line => line.trim())
+            .map(line => ClaudeEvents.parseLine(line.trim()));
+    }
+}
+
+module.exports = { ClaudeEvents, NDJSONDecoder };
\ No newline at end of file
@@ -42,11 +42,67 @@ class Config {
         this.corsOrigins = ['*']; // Always allow all origins
         this.logLevel = 'info';
         
-        // No hardcoded models - let Claude CLI determine what's available
+        // Extra model aliases (alias:model pairs) on top of the built-in table
+        this.modelAliases = this.parseModelAliases(process.env.MODEL_ALIASES);
+
+        // Upper bound for n (parallel generations per chat completion request)
+        this.maxChoices = parseInt(process.env.MAX_CHOICES || '4', 10);
+
+        // Stored /v1/responses results, used to chain turns via previous_response_id
+        this.responseStoreTtl = parseInt(process.env.RESPONSE_STORE_TTL || '3600', 10);
+        this.responseStoreMax = parseInt(process.env.RESPONSE_STORE_MAX || '1000', 10);
+
+        // Extra attempts when a reply ignores a required or forced tool_choice
+        this.toolChoiceRetries = parseInt(process.env.TOOL_CHOICE_RETRIES || '1', 10);
+
+        // Extra attempts when a reply fails response_format JSON/schema validation
+        this.structuredOutputRetries = parseInt(process.env.STRUCTURED_OUTPUT_RETRIES || '2', 10);
+
+        // Conversation reuse: how long a chat stays resumable through its Claude CLI session (0 disables), and how many are kept
+        this.sessionTtl = parseInt(process.env.SESSION_TTL || '3600', 10);
+        this.sessionStoreMax = parseInt(process.env.SESSION_STORE_MAX || '1000', 10);
+
+        // Sessions created through /v1/sessions: seconds a session may sit idle before it is dropped, and how many may exist
+        this.sessionIdleTtl = parseInt(process.env.SESSION_IDLE_TTL || '86400', 10);
+        this.maxSessions = parseInt(process.env.MAX_SESSIONS || '100', 10);
+
+        // What to do with a history too long for the model's context window: error, truncate or summarize
+        this.contextStrategy = process.env.CONTEXT_STRATEGY || 'error';
+
+        // Claude CLI processes allowed to run at once; more runs wait in a queue of bounded size, for up to QUEUE_TIMEOUT seconds
+        this.maxConcurrentProcesses = parseInt(process.env.MAX_CONCURRENT_PROCESSES || '8', 10);
+        this.maxQueueSize = parseInt(process.env.MAX_QUEUE_SIZE || '100', 10);
+        this.queueTimeout = parseInt(process.env.QUEUE_TIMEOUT || '300', 10);
+
+        // How conversations are rendered for the Claude CLI: text (Human:/Assistant:), xml or stream-json
+        this.transcriptFormat = process.env.TRANSCRIPT_FORMAT || 'text';
+
+        // image_url inputs: size limit per image, and the directory local file references may read from
+        this.maxImageBytes = parseInt(process.env.MAX_IMAGE_BYTES || '5242880', 10);
+        this.imageFileRoot = process.env.IMAGE_FILE_ROOT ? path.resolve(process.env.IMAGE_FILE_ROOT) : null;
         
         this.validateConfig();
     }
 
+    // "gpt-4o:sonnet,claude-opus-*:opus" -> { 'gpt-4o': 'sonnet', 'claude-opus-*': 'opus' }
+    parseModelAliases(value) {
+        const aliases = {};
+
+        for (const entry of (value || '').split(',')) {
+            if (!entry.trim()) {
+                continue;
+            }
+
+            const [alias, model] = entry.split(':').map(part => part.trim());
+            if (!alias || !model) {
+                throw new Error(`Invalid MODEL_ALIASES entry: "${entry}". Expected alias:model.`);
+            }
+            aliases[alias] = model;
+        }
+
+        return aliases;
+    }
+
     getClaudeCliPath() {
         // On Windows, Node.js spawn requires the full executable name
         if (process.platform === 'win32') {
@@ -56,10 +112,74 @@ class Config {
     }
 
     validateConfig() {
-        // Only validate port
+        // Validate numeric settings
         if (this.port < 1 || this.port > 65535) {
             throw new Error(`Invalid port: ${this.port}. Must be between 1 and 65535.`);
         }
+
+        if (!Number.isInteger(this.maxChoices) || this.maxChoices < 1) {
+            throw new Error(`Invalid MAX_CHOICES: ${process.env.MAX_CHOICES}. Must be a positive integer.`);
+        }
+
+        if (!Number.isInteger(this.responseStoreTtl) || this.responseStoreTtl < 1) {
+            throw new Error(`Invalid RESPONSE_STORE_TTL: ${process.env.RESPONSE_STORE_TTL}. Must be a positive number of seconds.`);
+        }
+
+        if (!Number.isInteger(this.responseStoreMax) || this.responseStoreMax < 1) {
+            throw new Error(`Invalid RESPONSE_STORE_MAX: ${process.env.RESPONSE_STORE_MAX}. Must be a positive integer.`);
+        }
+
+        if (!Number.isInteger(this.toolChoiceRetries) || this.toolChoiceRetries < 0) {
+            throw new Error(`Invalid TOOL_CHOICE_RETRIES: ${process.env.TOOL_CHOICE_RETRIES}. Must be a non-negative integer.`);
+        }
+
+        if (!Number.isInteger(this.structuredOutputRetries) || this.structuredOutputRetries < 0) {
+            throw new Error(`Invalid STRUCTURED_OUTPUT_RETRIES: ${process.env.STRUCTURED_OUTPUT_RETRIES}. Must be a non-negative integer.`);
+        }
+
+        if (!Number.isInteger(this.sessionTtl) || this.sessionTtl < 0) {
+            throw new Error(`Invalid SESSION_TTL: ${process.env.SESSION_TTL}. Must be a non-negative number of seconds.`);
+        }
+
+        if (!Number.isInteger(this.sessionStoreMax) || this.sessionStoreMax < 1) {
+            throw new Error(`Invalid SESSION_STORE_MAX: ${process.env.SESSION_STORE_MAX}. Must be a positive integer.`);
+        }
+
+        if (!Number.isInteger(this.sessionIdleTtl) || this.sessionIdleTtl < 1) {
+            throw new Error(`Invalid SESSION_IDLE_TTL: ${process.env.SESSION_IDLE_TTL}. Must be a positive number of seconds.`);
+        }
+
+        if (!Number.isInteger(this.maxSessions) || this.maxSessions < 1) {
+            throw new Error(`Invalid MAX_SESSIONS: ${process.env.MAX_SESSIONS}. Must be a positive integer.`);
+        }
+
+        if (!['error', 'truncate', 'summarize'].includes(this.contextStrategy)) {
+            throw new Error(`Invalid CONTEXT_STRATEGY: ${process.env.CONTEXT_STRATEGY}. Must be error, truncate or summarize.`);
+        }
+
+        if (!Number.isInteger(this.maxConcurrentProcesses) || this.maxConcurrentProcesses < 1) {
+            throw new Error(`Invalid MAX_CONCURRENT_PROCESSES: ${process.env.MAX_CONCURRENT_PROCESSES}. Must be a positive integer.`);
+        }
+
+        if (!Number.isInteger(this.maxQueueSize) || this.maxQueueSize < 0) {
+            throw new Error(`Invalid MAX_QUEUE_SIZE: ${process.env.MAX_QUEUE_SIZE}. Must be a non-negative integer.`);
+        }
+
+        if (!Number.isInteger(this.queueTimeout) || this.queueTimeout < 1) {
+            throw new Error(`Invalid QUEUE_TIMEOUT: ${process.env.QUEUE_TIMEOUT}. Must be a positive number of seconds.`);
+        }
+
+        if (!['text', 'xml', 'stream-json'].includes(this.transcriptFormat)) {
+            throw new Error(`Invalid TRANSCRIPT_FORMAT: ${process.env.TRANSCRIPT_FORMAT}. Must be text, xml or stream-json.`);
+        }
+
+        if (!Number.isInteger(this.maxImageBytes) || this.maxImageBytes < 1) {
+            throw new Error(`Invalid MAX_IMAGE_BYTES: ${process.env.MAX_IMAGE_BYTES}. Must be a positive integer.`);
+        }
+
+        if (this.imageFileRoot && !(fs.existsSync(this.imageFileRoot) && fs.statSync(this.imageFileRoot).isDirectory())) {
+            throw new Error(`Invalid IMAGE_FILE_ROOT: ${process.env.IMAGE_FILE_ROOT}. Must be an existing directory.`);
+        }
     }
 
     getClaudeEnvVars() {
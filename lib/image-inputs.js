@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { ValidationError } = require('./models');
+
+// Image types Claude accepts, recognised by their leading bytes rather than the declared type
+const IMAGE_TYPES = [
+    {
+        mediaType: 'image/png',
+        extension: 'png',
+        matches: bytes => bytes.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+    },
+    {
+        mediaType: 'image/jpeg',
+        extension: 'jpg',
+        matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff
+    },
+    {
+        mediaType: 'image/gif',
+        extension: 'gif',
+        matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.slice(0, 6).toString('latin1'))
+    },
+    {
+        mediaType: 'image/webp',
+        extension: 'webp',
+        matches: bytes => bytes.slice(0, 4).toString('latin1') === 'RIFF' && bytes.slice(8, 12).toString('latin1') === 'WEBP'
+    }
+];
+
+const DATA_URI = /^data:([^;,]*)((?:;[^;,]*)*);base64,(.*)$/s;
+
+// Decodes the image_url inputs of a request (base64 data: URIs and local file references)
+// into a per-request temp directory. ClaudeProcess sends the files to the CLI as image
+// blocks; the handler removes the directory once the request is done.
+class ImageInputs {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+    }
+
+    // images: [{ url }] in prompt order. Returns { dir, files: [{ path, mediaType }] };
+    // dir is null when the request has no images.
+    prepare(images) {
+        if (!images || images.length === 0) {
+            return { dir: null, files: [] };
+        }
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-images-'));
+
+        try {
+            const files = images.map((image, index) => this.writeImage(dir, image.url, index + 1));
+            this.logger.debug(`Prepared ${files.length} image(s) in ${dir}`);
+            return { dir, files };
+        } catch (error) {
+            this.cleanup(dir);
+            throw error;
+        }
+    }
+
+    cleanup(dir) {
+        if (!dir) {
+            return;
+        }
+
+        try {
+            fs.rmSync(dir, { recursive: true, force: true });
+        } catch (error) {
+            // Cleanup failures shouldn't fail the request
+            this.logger.warn(`Failed to remove image directory ${dir}:`, error.message);
+        }
+    }
+
+    writeImage(dir, url, number) {
+        const bytes = url.startsWith('data:') ? this.decodeDataUri(url, number) : this.readLocalFile(url, number);
+        this.checkSize(bytes.length, number);
+
+        const type = IMAGE_TYPES.find(candidate => candidate.matches(bytes));
+        if (!type) {
+            throw new ValidationError(`Image #${number} is not a PNG, JPEG, GIF or WebP image`, 'messages', 'unsupported_image_type');
+        }
+
+        const filePath = path.join(dir, `image-${number}.${type.extension}`);
+        fs.writeFileSync(filePath, bytes);
+
+        return { path: filePath, mediaType: type.mediaType };
+    }
+
+    decodeDataUri(url, number) {
+        const match = DATA_URI.exec(url);
+        if (!match) {
+            throw new ValidationError(`Image #${number} must be a base64 data: URI`, 'messages', 'invalid_image');
+        }
+
+        const declaredType = match[1].toLowerCase();
+        if (declaredType && !IMAGE_TYPES.some(type => type.mediaType === declaredType)) {
+            throw new ValidationError(`Image #${number} has unsupported type ${declaredType}`, 'messages', 'unsupported_image_type');
+        }
+
+        // Reject oversized payloads before decoding them
+        this.checkSize(Math.floor(match[3].length * 3 / 4), number);
+
+        return Buffer.from(match[3], 'base64');
+    }
+
+    // file:///path or an absolute path, allowed only below IMAGE_FILE_ROOT
+    readLocalFile(url, number) {
+        if (!url.startsWith('file:') && !path.isAbsolute(url)) {
+            throw new ValidationError(`Image #${number} must be a base64 data: URI or a local file reference`, 'messages', 'unsupported_image_url');
+        }
+
+        if (!this.config.imageFileRoot) {
+            throw new ValidationError('Local image files are disabled (IMAGE_FILE_ROOT is not set)', 'messages', 'image_files_disabled');
+        }
+
+        let filePath;
+        try {
+            // realpath resolves symlinks, so a link cannot point outside the root
+            filePath = fs.realpathSync(url.startsWith('file:') ? fileURLToPath(url) : url);
+        } catch (error) {
+            throw new ValidationError(`Image #${number} not found: ${url}`, 'messages', 'invalid_image');
+        }
+
+        const root = fs.realpathSync(this.config.imageFileRoot);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new ValidationError(`Image #${number} is outside IMAGE_FILE_ROOT`, 'messages', 'invalid_image');
+        }
+
+        const stats = fs.statSync(filePath);
+        if (!stats.isFile()) {
+            throw new ValidationError(`Image #${number} is not a file: ${url}`, 'messages', 'invalid_image');
+        }
+        this.checkSize(stats.size, number);
+
+        return fs.readFileSync(filePath);
+    }
+
+    checkSize(size, number) {
+        if (size > this.config.maxImageBytes) {
+            throw new ValidationError(
+                `Image #${number} is larger than the ${this.config.maxImageBytes} byte limit (MAX_IMAGE_BYTES)`,
+                'messages',
+                'image_too_large'
+            );
+        }
+    }
+}
+
+module.exports = ImageInputs;
\ No newline at end of file
@@ -0,0 +1,343 @@
+// Minimal JSON Schema validator covering the subset used by OpenAI structured outputs:
+// type, enum, const, properties, required, additionalProperties, items, prefixItems,
+// length/size/range keywords, pattern, anyOf/oneOf/allOf/not and local $ref.
+class JSONSchemaValidator {
+    constructor(rootSchema) {
+        this.rootSchema = rootSchema;
+    }
+
+    // Check the schema itself before any value is validated against it: every pattern must
+    // compile, every $ref must resolve and no $ref may lead back to itself without descending
+    // into a property or item. Throws an Error naming the offending location.
+    checkSchema() {
+        this.checkSubschema(this.rootSchema, '#');
+    }
+
+    checkSubschema(schema, location) {
+        if (!schema || typeof schema !== 'object') {
+            return;
+        }
+
+        if (schema.$ref !== undefined) {
+            if (typeof schema.$ref !== 'string') {
+                throw new Error(`${location}: $ref must be a string`);
+            }
+            try {
+                this.resolveRef(schema.$ref);
+            } catch (error) {
+                throw new Error(`${location}: ${error.message}`);
+            }
+            this.checkRefCycle(schema, location, []);
+        }
+
+        if (schema.pattern !== undefined) {
+            try {
+                new RegExp(schema.pattern, 'u');
+            } catch (error) {
+                throw new Error(`${location}/pattern: ${error.message}`);
+            }
+        }
+
+        for (const keyword of ['properties', '$defs', 'definitions']) {
+            for (const [name, subschema] of Object.entries(schema[keyword] || {})) {
+                this.checkSubschema(subschema, `${location}/${keyword}/${name}`);
+            }
+        }
+
+        for (const keyword of ['prefixItems', 'allOf', 'anyOf', 'oneOf']) {
+            if (Array.isArray(schema[keyword])) {
+                schema[keyword].forEach((subschema, index) => this.checkSubschema(subschema, `${location}/${keyword}/${index}`));
+            }
+        }
+
+        for (const keyword of ['items', 'additionalProperties', 'not']) {
+            this.checkSubschema(schema[keyword], `${location}/${keyword}`);
+        }
+    }
+
+    // Follow what validate() applies to the same value ($ref, allOf/anyOf/oneOf, not); meeting a
+    // schema already on the path means validation would recurse forever
+    checkRefCycle(schema, location, path) {
+        if (!schema || typeof schema !== 'object') {
+            return;
+        }
+
+        if (path.includes(schema)) {
+            throw new Error(`${location}: $ref cycle that never descends into a property or item`);
+        }
+
+        const next = path.concat([schema]);
+
+        // validate() follows a $ref and ignores the keywords next to it
+        if (typeof schema.$ref === 'string') {
+            this.checkRefCycle(this.resolveRef(schema.$ref), location, next);
+            return;
+        }
+
+        for (const keyword of ['allOf', 'anyOf', 'oneOf']) {
+            if (Array.isArray(schema[keyword])) {
+                schema[keyword].forEach(subschema => this.checkRefCycle(subschema, location, next));
+            }
+        }
+
+        this.checkRefCycle(schema.not, location, next);
+    }
+
+    // Returns a list of human-readable errors; empty when the value is valid
+    validate(value, schema = this.rootSchema, path = '$') {
+        const errors = [];
+
+        if (schema === true || schema === undefined || schema === null) {
+            return errors;
+        }
+
+        if (schema === false) {
+            errors.push(`${path}: no value is allowed here`);
+            return errors;
+        }
+
+        if (schema.$ref) {
+            return this.validate(value, this.resolveRef(schema.$ref), path);
+        }
+
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(value, type))) {
+                errors.push(`${path}: expected ${types.join(' or ')}, got ${this.describeType(value)}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => this.isEqual(option, value))) {
+            errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+        }
+
+        if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+            errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+        }
+
+        if (typeof value === 'string') {
+            this.validateString(value, schema, path, errors);
+        } else if (typeof value === 'number') {
+            this.validateNumber(value, schema, path, errors);
+        } else if (Array.isArray(value)) {
+            this.validateArray(value, schema, path, errors);
+        } else if (value && typeof value === 'object') {
+            this.validateObject(value, schema, path, errors);
+        }
+
+        this.validateCombinators(value, schema, path, errors);
+
+        return errors;
+    }
+
+    validateString(value, schema, path, errors) {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path}: must match pattern ${schema.pattern}`);
+        }
+    }
+
+    validateNumber(value, schema, path, errors) {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}`);
+        }
+
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}`);
+        }
+
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+        }
+
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+        }
+
+        if (schema.multipleOf !== undefined && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+            errors.push(`${path}: must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    validateArray(value, schema, path, errors) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must contain at least ${schema.minItems} items`);
+        }
+
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must contain at most ${schema.maxItems} items`);
+        }
+
+        const prefixItems = schema.prefixItems || [];
+        value.forEach((item, index) => {
+            const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+            if (itemSchema !== undefined) {
+                errors.push(...this.validate(item, itemSchema, `${path}[${index}]`));
+            }
+        });
+
+        if (schema.uniqueItems) {
+            const seen = value.map(item => JSON.stringify(item));
+            if (new Set(seen).size !== seen.length) {
+                errors.push(`${path}: items must be unique`);
+            }
+        }
+    }
+
+    validateObject(value, schema, path, errors) {
+        const properties = schema.properties || {};
+
+        for (const name of schema.required || []) {
+            if (!Object.prototype.hasOwnProperty.call(value, name)) {
+                errors.push(`${path}: missing required property "${name}"`);
+            }
+        }
+
+        for (const [name, propertyValue] of Object.entries(value)) {
+            const propertyPath = `${path}.${name}`;
+
+            if (Object.prototype.hasOwnProperty.call(properties, name)) {
+                errors.push(...this.validate(propertyValue, properties[name], propertyPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}: unexpected property "${name}"`);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...this.validate(propertyValue, schema.additionalProperties, propertyPath));
+            }
+        }
+
+        const count = Object.keys(value).length;
+        if (schema.minProperties !== undefined && count < schema.minProperties) {
+            errors.push(`${path}: must have at least ${schema.minProperties} properties`);
+        }
+
+        if (schema.maxProperties !== undefined && count > schema.maxProperties) {
+            errors.push(`${path}: must have at most ${schema.maxProperties} properties`);
+        }
+    }
+
+    validateCombinators(value, schema, path, errors) {
+        if (Array.isArray(schema.allOf)) {
+            for (const subschema of schema.allOf) {
+                errors.push(...this.validate(value, subschema, path));
+            }
+        }
+
+        if (Array.isArray(schema.anyOf)) {
+            const matches = schema.anyOf.some(subschema => this.validate(value, subschema, path).length === 0);
+            if (!matches) {
+                errors.push(`${path}: must match at least one of the allowed schemas (anyOf)`);
+            }
+        }
+
+        if (Array.isArray(schema.oneOf)) {
+            const matchCount = schema.oneOf.filter(subschema => this.validate(value, subschema, path).length === 0).length;
+            if (matchCount !== 1) {
+                errors.push(`${path}: must match exactly one of the allowed schemas (oneOf), matched ${matchCount}`);
+            }
+        }
+
+        if (schema.not !== undefined && this.validate(value, schema.not, path).length === 0) {
+            errors.push(`${path}: must not match the disallowed schema (not)`);
+        }
+    }
+
+    // Only local references (#/$defs/..., #/definitions/...) are supported
+    resolveRef(ref) {
+        if (ref === '#') {
+            return this.rootSchema;
+        }
+
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref: ${ref}`);
+        }
+
+        let target = this.rootSchema;
+        for (const rawPart of ref.slice(2).split('/')) {
+            const part = rawPart.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (!target || typeof target !== 'object' || !(part in target)) {
+                throw new Error(`Unresolvable $ref: ${ref}`);
+            }
+            target = target[part];
+        }
+
+        return target;
+    }
+
+    matchesType(value, type) {
+        switch (type) {
+            case 'null':
+                return value === null;
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default:
+                return true;
+        }
+    }
+
+    describeType(value) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        return typeof value;
+    }
+
+    isEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+// Find a JSON value in model output, tolerating code fences and surrounding prose
+function extractJSON(text) {
+    if (!text || typeof text !== 'string') {
+        return undefined;
+    }
+
+    const trimmed = text.trim();
+    const candidates = [trimmed];
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (fenced) {
+        candidates.push(fenced[1].trim());
+    }
+
+    for (const [open, close] of [['{', '}'], ['[', ']']]) {
+        const start = trimmed.indexOf(open);
+        const end = trimmed.lastIndexOf(close);
+        if (start !== -1 && end > start) {
+            candidates.push(trimmed.slice(start, end + 1));
+        }
+    }
+
+    for (const candidate of candidates) {
+        try {
+            return JSON.parse(candidate);
+        } catch (e) {
+            // Try the next candidate
+        }
+    }
+
+    return undefined;
+}
+
+module.exports = { JSONSchemaValidator, extractJSON };
\ No newline at end of file
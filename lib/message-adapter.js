@@ -1,28 +1,83 @@
+const ToolCallAdapter = require('./tool-calls');
+const StructuredOutput = require('./structured-output');
+const StopSequenceMatcher = require('./stop-sequences');
+const PrefillStripper = require('./prefill');
+const ModelAliases = require('./model-aliases');
+const ModelCatalog = require('./model-catalog');
+const { createTranscriptRenderer } = require('./transcript-renderers');
+const { ClaudeEvents } = require('./claude-events');
+const { OpenAIModels, APIError } = require('./models');
+
+// Thinking budget per reasoning_effort (include_reasoning alone means medium)
+const THINKING_BUDGETS = {
+    low: 4000,
+    medium: 10000,
+    high: 31999
+};
+
+// Rough token cost of one image, for context-window checks (Claude scales large images down to about this)
+const IMAGE_TOKENS = 1600;
+
+// Room kept for the summary that replaces older turns under the "summarize" context strategy
+const SUMMARY_TOKENS = 1000;
+
+const SUMMARY_SYSTEM_PROMPT = 'Summarize the conversation transcript supplied by the user so it can stand in for those turns ' +
+    'when the conversation continues. Keep facts, names, decisions, open questions and anything the Assistant committed to. ' +
+    'Output only the summary, in at most 500 words.';
+
 class MessageAdapter {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger;
+        this.toolCalls = new ToolCallAdapter(config, logger);
+        this.structuredOutput = new StructuredOutput(config, logger);
+        this.modelAliases = new ModelAliases(config);
+        this.modelCatalog = new ModelCatalog(config);
+        this.transcriptRenderer = createTranscriptRenderer(config);
     }
 
-    // Convert OpenAI messages to Claude prompt format
-    messagesToClaudePrompt(messages, hasTools = false, tools = []) {
+    // Convert OpenAI messages to Claude prompt format. Returns { systemPrompt, prompt, inputMessages },
+    // with inputMessages set when the transcript renderer sends real messages (stream-json input)
+    messagesToClaudePrompt(messages, hasTools = false, tools = [], toolOptions = {}) {
+        // toolOptions: { toolChoice, parallelToolCalls, responseFormat }
         let systemPrompt = '';
-        let conversationPrompt = '';
+        const turns = [];
+        let imageCount = 0;
+        const toolNames = this.toolCalls.collectToolNames(messages);
+        const prefill = this.getPrefill(messages);
+        const text = value => ({ type: 'text', text: `${value}` });
         
         // Process messages in order
         for (const message of messages) {
             switch (message.role) {
                 case 'system':
-                    // Collect all system messages
+                case 'developer':
+                    // Collect all system and developer messages
                     systemPrompt += message.content + '\n';
                     break;
                     
                 case 'user':
-                    conversationPrompt += `Human: ${message.content}\n\n`;
+                    if (Array.isArray(message.content)) {
+                        // Images are numbered across the conversation, matching collectImages
+                        const parts = message.content.map(part => part.type === 'image_url' ? { type: 'image', number: ++imageCount } : text(part.text));
+                        turns.push({ role: 'user', name: message.name || null, parts });
+                    } else {
+                        turns.push({ role: 'user', name: message.name || null, parts: [text(message.content)] });
+                    }
                     break;
                     
                 case 'assistant':
-                    conversationPrompt += `Assistant: ${message.content}\n\n`;
+                    if (message.tool_calls && message.tool_calls.length > 0) {
+                        turns.push({ role: 'assistant', name: message.name || null, parts: [text(this.toolCalls.renderAssistantToolCalls(message))] });
+                    } else {
+                        turns.push({ role: 'assistant', name: message.name || null, parts: [text(message.content)] });
+                    }
+                    break;
+
+                case 'tool':
+                case 'function':
+                    // Tool results are fed back to Claude as a human turn
+                    turns.push({ role: 'user', name: null, parts: [text(this.toolCalls.renderToolResult(message, toolNames))] });
                     break;
                     
                 default:
@@ -31,74 +86,99 @@ class MessageAdapter {
             }
         }
 
+        // Explain the transcript format if the renderer needs to
+        const formatInstruction = this.transcriptRenderer.instructions();
+        if (formatInstruction) {
+            systemPrompt = (systemPrompt + '\n\n' + formatInstruction).trim();
+        }
+
         // Add tool handling instruction to system prompt if tools are present
         if (hasTools && tools.length > 0) {
-            let toolInstruction = `\n\nYou have access to the following tools/functions:\n\n`;
-            
-            // List available tools
-            for (const tool of tools) {
-                if (tool.function) {
-                    toolInstruction += `- ${tool.function.name}: ${tool.function.description || 'No description'}\n`;
-                    if (tool.function.parameters) {
-                        toolInstruction += `  Parameters: ${JSON.stringify(tool.function.parameters)}\n`;
-                    }
-                }
-            }
-            
-            toolInstruction += `\nWhen you determine a tool should be used, respond with ONLY this JSON format (no other text):
-{
-  "tool_calls": [
-    {
-      "id": "call_${Date.now()}_${Math.random().toString(36).substring(2, 11)}",
-      "type": "function",
-      "function": {
-        "name": "exact_tool_name",
-        "arguments": "{\\"param\\": \\"value\\"}"
-      }
-    }
-  ],
-  "content": null
-}
+            const toolInstruction = this.toolCalls.renderToolInstructions(
+                tools,
+                toolOptions.toolChoice,
+                toolOptions.parallelToolCalls !== false
+            );
+            systemPrompt = (systemPrompt + '\n\n' + toolInstruction).trim();
+        }
 
-IMPORTANT: If the user's request requires using one of these tools (like asking about weather when you have get_weather), you MUST return the JSON above. Do not say you cannot access it.`;
-            
-            systemPrompt = (systemPrompt + toolInstruction).trim();
+        // Add JSON output instruction for response_format
+        if (this.structuredOutput.isEnabled(toolOptions.responseFormat)) {
+            const formatInstruction = this.structuredOutput.renderInstructions(toolOptions.responseFormat);
+            systemPrompt = (systemPrompt + '\n\n' + formatInstruction).trim();
         }
 
-        // Ensure conversation ends with Human prompt
         const lastMessage = messages[messages.length - 1];
-        if (lastMessage && lastMessage.role !== 'user') {
-            conversationPrompt += 'Human: Please continue.\n\n';
+        if (prefill !== null) {
+            // The transcript ends inside the assistant turn that Claude has to continue
+            const prefillInstruction = 'The conversation ends with an unfinished Assistant turn. Continue that turn exactly where it stops: ' +
+                'output only the text that comes next, without repeating any of it and without any preamble.';
+            systemPrompt = (systemPrompt + '\n\n' + prefillInstruction).trim();
+        } else if (lastMessage && !['user', 'tool', 'function'].includes(lastMessage.role)) {
+            // Ensure conversation ends with Human prompt
+            turns.push({ role: 'user', name: null, parts: [text('Please continue.')] });
         }
 
+        const { prompt, inputMessages } = this.transcriptRenderer.render(turns, { prefill: prefill !== null });
+
         return {
             systemPrompt: systemPrompt.trim() || null,
-            prompt: conversationPrompt.trim()
+            prompt,
+            inputMessages
         };
     }
 
+    // Text of a final assistant message that the reply should continue (prefill), or null
+    getPrefill(messages) {
+        const lastMessage = messages && messages[messages.length - 1];
+        if (!lastMessage || lastMessage.role !== 'assistant' || (lastMessage.tool_calls && lastMessage.tool_calls.length > 0)) {
+            return null;
+        }
+
+        return typeof lastMessage.content === 'string' && lastMessage.content ? lastMessage.content : null;
+    }
+
+    // image_url parts of the user messages, in the order messagesToClaudePrompt numbers them
+    collectImages(messages) {
+        return messages
+            .filter(message => message.role === 'user' && Array.isArray(message.content))
+            .flatMap(message => message.content.filter(part => part.type === 'image_url'))
+            .map(part => ({ url: part.image_url.url }));
+    }
+
+    // Build a prompt that makes Claude behave like a raw text completion model
+    completionToClaudePrompt(text, suffix = null) {
+        let systemPrompt = 'You are a text completion engine. Continue the text supplied by the user exactly where it leaves off. ' +
+            'Output only the continuation itself: do not repeat the given text, do not add commentary, and do not wrap the output in quotes or code fences.';
+
+        let prompt = text;
+
+        if (suffix) {
+            systemPrompt += ' The user supplies a PREFIX and a SUFFIX. Output only the text that belongs between them.';
+            prompt = `PREFIX:\n${text}\n\nSUFFIX:\n${suffix}`;
+        }
+
+        return { systemPrompt, prompt };
+    }
+
     // Convert Claude response back to OpenAI format
-    claudeResponseToOpenAI(claudeOutput, requestModel, hasTools = false) {
+    claudeResponseToOpenAI(claudeOutput, requestModel, hasTools = false, tools = []) {
         // Parse and clean Claude output
         const cleanedContent = this.parseClaudeOutput(claudeOutput);
         
         // If tools were provided, check if response contains tool calls
         if (hasTools) {
-            try {
-                // Try to parse as JSON first
-                const parsed = JSON.parse(cleanedContent);
-                if (parsed.tool_calls && Array.isArray(parsed.tool_calls)) {
-                    // Return in OpenAI tool call format
-                    return {
-                        role: 'assistant',
-                        content: parsed.content || null,
-                        tool_calls: parsed.tool_calls
-                    };
-                }
-            } catch (e) {
-                // Not JSON or doesn't have tool_calls, treat as regular text
-                this.logger.debug('Response is not tool call JSON, treating as regular text');
+            const parsed = this.toolCalls.parseToolCalls(cleanedContent, tools);
+            if (parsed) {
+                // Return in OpenAI tool call format
+                return {
+                    role: 'assistant',
+                    content: parsed.content,
+                    tool_calls: parsed.toolCalls
+                };
             }
+
+            this.logger.debug('Response is not tool call JSON, treating as regular text');
         }
         
         return {
@@ -107,114 +187,24 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
         };
     }
 
-    // Parse Claude CLI output and extract assistant content
-    parseClaudeOutput(output) {
-        if (!output) {
-            return '';
-        }
-
-        let content = '';
-        
-        if (typeof output === 'string') {
-            content = output;
-        } else if (typeof output === 'object') {
-            content = this.extractContentFromObject(output);
-        } else {
-            this.logger.warn('Unexpected Claude output type:', typeof output);
-            content = String(output);
-        }
-
-        // Clean and filter the content
-        return this.filterAndCleanContent(content);
-    }
-
-    extractContentFromObject(obj) {
-        // Handle different Claude CLI output formats
-        
-        if (obj.type === 'assistant' && obj.message) {
-            // Format: { type: 'assistant', message: { content: [...] } }
-            return this.extractContent(obj.message.content);
-        }
-        
-        if (obj.content) {
-            // Format: { content: [...] } or { content: "text" }
-            return this.extractContent(obj.content);
-        }
-        
-        if (obj.text) {
-            // Format: { text: "content" }
-            return obj.text;
-        }
-        
-        if (obj.message && obj.message.content) {
-            // Nested message format
-            return this.extractContent(obj.message.content);
-        }
-        
-        // Fallback to JSON string
-        return JSON.stringify(obj);
+    // Drop a repeat of the prefilled assistant text from the start of a complete reply
+    stripPrefill(text, prefill) {
+        return PrefillStripper.strip(text, prefill);
     }
 
-    extractContent(content) {
-        if (typeof content === 'string') {
-            return content;
-        }
-        
-        if (Array.isArray(content)) {
-            let extractedText = '';
-            
-            for (const block of content) {
-                if (typeof block === 'string') {
-                    extractedText += block;
-                } else if (block && typeof block === 'object') {
-                    // Handle TextBlock objects and similar structures
-                    if (block.text) {
-                        extractedText += block.text;
-                    } else if (block.type === 'text' && block.text) {
-                        extractedText += block.text;
-                    } else if (block.content) {
-                        extractedText += this.extractContent(block.content);
-                    }
-                }
-            }
-            
-            return extractedText;
-        }
-        
-        if (content && typeof content === 'object') {
-            return this.extractContentFromObject(content);
-        }
-        
-        return String(content);
+    // Cut a complete reply at the first of the request's stop sequences
+    applyStopSequences(text, stopSequences) {
+        return StopSequenceMatcher.truncate(text, stopSequences).text;
     }
 
-    filterAndCleanContent(content) {
-        if (!content || typeof content !== 'string') {
-            return content || '';
+    // Clean the reply text of a non-streaming run (the `result` of the CLI's result event),
+    // including anything the model copied from the transcript format
+    parseClaudeOutput(output) {
+        if (!output) {
+            return '';
         }
 
-        // Remove Claude Code tool usage blocks
-        let filtered = content.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
-        
-        // Remove thinking blocks
-        filtered = filtered.replace(/<thinking>[\s\S]*?<\/antml:thinking>/g, '');
-        
-        // Remove Claude Code specific markers and headers
-        filtered = filtered.replace(/\[Tool Use:.*?\]/g, '');
-        filtered = filtered.replace(/\[File: .*?\]/g, '');
-        filtered = filtered.replace(/\[Command: .*?\]/g, '');
-        
-        // Remove common Claude CLI prefixes
-        filtered = filtered.replace(/^Assistant:\s*/gm, '');
-        filtered = filtered.replace(/^Human:\s*/gm, '');
-        
-        // Remove multiple consecutive newlines but preserve intentional formatting
-        filtered = filtered.replace(/\n\s*\n\s*\n/g, '\n\n');
-        
-        // Trim whitespace
-        filtered = filtered.trim();
-        
-        return filtered;
+        return this.transcriptRenderer.cleanReply(ClaudeEvents.cleanText(String(output)));
     }
 
     // Convert OpenAI streaming format to Claude format
@@ -224,8 +214,8 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
             stream: Boolean(request.stream)
         };
         
-        // Only add model if mapping returned a value
-        if (mappedModel) {
+        // "default" means no --model, so the CLI uses its configured model
+        if (mappedModel !== 'default') {
             options.model = mappedModel;
         }
 
@@ -244,17 +234,31 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
             options.topP = request.top_p;
         }
 
+        // The CLI has no stop option; handlers enforce these on the output
         if (request.stop) {
             options.stopSequences = Array.isArray(request.stop) ? request.stop : [request.stop];
         }
 
+        // A final partial assistant message is continued; handlers drop any repeat of it from the reply
+        const prefill = this.getPrefill(request.messages);
+        if (prefill !== null) {
+            options.prefill = prefill;
+        }
+
+        // Extended thinking: the CLI reads its thinking budget from MAX_THINKING_TOKENS
+        if (request.reasoning_effort || request.include_reasoning) {
+            options.env = { MAX_THINKING_TOKENS: String(THINKING_BUDGETS[request.reasoning_effort || 'medium']) };
+            options.includeReasoning = request.include_reasoning !== false;
+        }
+
         // Handle tools setting - but don't pass them to Claude CLI
         // We want Claude to return JSON for tool calls, not execute them
-        if (request.tools && request.tools.length > 0) {
-            this.logger.info(`Request includes ${request.tools.length} tools, but will instruct Claude to return JSON instead of executing`);
+        const tools = this.toolCalls.getRequestTools(request);
+        if (tools.length > 0) {
+            this.logger.info(`Request includes ${tools.length} tools, but will instruct Claude to return JSON instead of executing`);
             
             // Extract tool names for logging
-            const toolNames = request.tools.map(tool => tool.name);
+            const toolNames = tools.map(tool => tool.function.name);
             this.logger.info('Tools requested (will be returned as JSON):', toolNames);
             
             // Don't pass allowedTools to Claude CLI - we want JSON responses instead
@@ -288,15 +292,17 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
         }
 
         if (Array.isArray(content)) {
-            // Handle multimodal content - extract text parts only
+            // Images are kept as parts; messagesToClaudePrompt and collectImages handle them
+            if (content.some(part => part.type === 'image_url')) {
+                return content.filter(part => part.type === 'text' || part.type === 'image_url');
+            }
+
+            // Text-only content - join the text parts
             let textContent = '';
             
             for (const part of content) {
                 if (part.type === 'text' && part.text) {
                     textContent += part.text + '\n';
-                } else if (part.type === 'image_url') {
-                    // Convert image references to text placeholders
-                    textContent += '[Image provided but not displayed in text mode]\n';
                 }
             }
             
@@ -307,6 +313,107 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
         return String(content);
     }
 
+    // Keep a request within its model's context window (less max_tokens). Returns the messages
+    // to send: the request's own when they fit, otherwise shortened per strategy. "truncate"
+    // drops the oldest turns and "summarize" replaces them with a summary from a separate CLI
+    // run; system and developer messages are always kept. Under "error", or when even the
+    // newest turn does not fit, throws a context_length_exceeded error.
+    async fitContext(request, strategy, claudeCLI) {
+        const contextWindow = this.modelCatalog.contextWindow(request.model);
+        const limit = contextWindow - (request.max_tokens || 0);
+        const promptTokens = this.countPromptTokens(request, request.messages);
+
+        if (promptTokens <= limit) {
+            return request.messages;
+        }
+
+        let fitted = null;
+        if (strategy === 'truncate') {
+            fitted = this.dropOldTurns(request, limit);
+        } else if (strategy === 'summarize') {
+            fitted = await this.summarizeOldTurns(request, limit, claudeCLI);
+        }
+
+        if (fitted) {
+            this.logger.info(`Context strategy ${strategy}: ${request.messages.length} messages (~${promptTokens} tokens) shortened to ${fitted.length} to fit ${limit} tokens`);
+            return fitted;
+        }
+
+        let detail = `your messages resulted in ${promptTokens} tokens. Please reduce the length of the messages.`;
+        if (request.max_tokens) {
+            detail = `you requested ${promptTokens + request.max_tokens} tokens (${promptTokens} in the messages, ${request.max_tokens} in the completion). ` +
+                'Please reduce the length of the messages or completion.';
+        }
+
+        throw new APIError(
+            `This model's maximum context length is ${contextWindow} tokens. However, ${detail}`,
+            400,
+            'invalid_request_error',
+            'context_length_exceeded'
+        );
+    }
+
+    // Estimated size of the prompt the messages render to, tool and response_format instructions included
+    countPromptTokens(request, messages) {
+        const tools = this.toolCalls.getRequestTools(request);
+        const toolChoice = this.toolCalls.resolveToolChoice(request);
+        const { systemPrompt, prompt } = this.messagesToClaudePrompt(messages, tools.length > 0 && toolChoice.mode !== 'none', tools, {
+            toolChoice,
+            parallelToolCalls: request.parallel_tool_calls !== false,
+            responseFormat: request.response_format
+        });
+
+        return this.estimateTokens(prompt + (systemPrompt || '')) + this.collectImages(messages).length * IMAGE_TOKENS;
+    }
+
+    // The ways to shorten a history, longest first: the system and developer messages plus the
+    // conversation from one of its later user turns on, with the turns before it dropped
+    *historyCuts(messages) {
+        const isSystem = message => message.role === 'system' || message.role === 'developer';
+        const system = messages.filter(isSystem);
+        const conversation = messages.filter(message => !isSystem(message));
+
+        for (let start = 1; start < conversation.length; start++) {
+            if (conversation[start].role === 'user') {
+                yield { system, dropped: conversation.slice(0, start), kept: conversation.slice(start) };
+            }
+        }
+    }
+
+    dropOldTurns(request, limit) {
+        for (const { system, kept } of this.historyCuts(request.messages)) {
+            const messages = system.concat(kept);
+            if (this.countPromptTokens(request, messages) <= limit) {
+                return messages;
+            }
+        }
+
+        return null;
+    }
+
+    async summarizeOldTurns(request, limit, claudeCLI) {
+        for (const { system, dropped, kept } of this.historyCuts(request.messages)) {
+            if (this.countPromptTokens(request, system.concat(kept)) + SUMMARY_TOKENS > limit) {
+                continue;
+            }
+
+            // The transcript to summarize may itself be too long; its newest part matters most
+            const { prompt } = this.messagesToClaudePrompt(dropped);
+            const options = { systemPrompt: SUMMARY_SYSTEM_PROMPT, stream: false };
+            if (request.model !== 'default') {
+                options.model = request.model;
+            }
+
+            const result = await claudeCLI.completion(prompt.slice(-limit * 4), options);
+            const summary = { role: 'system', content: `Summary of the earlier conversation:\n${this.parseClaudeOutput(result.output)}` };
+            const messages = system.concat(summary, kept);
+
+            return this.countPromptTokens(request, messages) <= limit ? messages : null;
+        }
+
+        return null;
+    }
+
     // Estimate token count (rough approximation)
     estimateTokens(text) {
         if (!text || typeof text !== 'string') {
@@ -323,7 +430,13 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
     }
 
     // Create usage statistics for response
-    createUsageStats(prompt, completion) {
+    // Prefer the CLI's reported usage (its `result` event); fall back to estimating from the text,
+    // e.g. when the process was stopped early for max_tokens
+    createUsageStats(prompt, completion, resultEvent = null) {
+        if (resultEvent && resultEvent.usage) {
+            return OpenAIModels.createUsageFromResult(resultEvent);
+        }
+
         const promptTokens = this.estimateTokens(prompt);
         const completionTokens = this.estimateTokens(completion);
         
@@ -380,12 +493,21 @@ IMPORTANT: If the user's request requires using one of these tools (like asking
         return issues;
     }
 
-    // Map OpenAI model names to Claude CLI model names
+    // Map OpenAI model names to Claude CLI model names via the alias table
     mapModelName(modelName) {
-        this.logger.info(`Using model: ${modelName} (not passed to Claude CLI)`);
-        
-        // Never pass model parameter to Claude CLI, let it use default
-        return null;
+        const mappedModel = this.modelAliases.resolve(modelName);
+
+        if (!mappedModel) {
+            throw new APIError(
+                `The model '${modelName}' does not exist. Use a Claude model ID or one of: ${this.modelAliases.list().join(', ')}`,
+                404,
+                'invalid_request_error',
+                'model_not_found'
+            );
+        }
+
+        this.logger.debug(`Using model: ${modelName} -> ${mappedModel}`);
+        return mappedModel;
     }
 
     // Log message processing for debugging
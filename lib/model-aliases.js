@@ -0,0 +1,65 @@
+// Built-in aliases; MODEL_ALIASES entries are merged over these
+const DEFAULT_ALIASES = {
+    'gpt-4o': 'sonnet',
+    'gpt-4o-mini': 'haiku',
+    'gpt-4': 'sonnet',
+    'gpt-4-turbo': 'sonnet',
+    'gpt-4.1': 'sonnet',
+    'gpt-4.1-mini': 'haiku',
+    'gpt-3.5-turbo': 'haiku',
+    'o1': 'opus',
+    'o3': 'opus',
+    // "default" leaves the choice to the CLI's configured model
+    'any': 'default',
+    'default': 'default',
+    // The CLI's own short names
+    'opus': 'opus',
+    'sonnet': 'sonnet',
+    'haiku': 'haiku'
+};
+
+// Full Claude model IDs (claude-sonnet-4-5-20250929, ...) go to the CLI unchanged
+const CLAUDE_MODEL_ID = /^claude-[a-z0-9][a-z0-9.-]*$/i;
+
+// Resolves the `model` of a request to the value passed to the CLI as --model.
+// Exact aliases win over wildcard aliases ("claude-opus-*"), which win over passthrough.
+class ModelAliases {
+    constructor(config) {
+        this.aliases = { ...DEFAULT_ALIASES, ...(config.modelAliases || {}) };
+        this.patterns = Object.keys(this.aliases)
+            .filter(alias => alias.includes('*'))
+            .map(alias => ({ alias, regex: this.toRegex(alias) }));
+        // Alias targets are CLI model names themselves, so resolving twice is harmless
+        this.targets = new Set(Object.values(this.aliases));
+    }
+
+    // Returns the CLI model name, or null when the model is unknown
+    resolve(model) {
+        if (Object.prototype.hasOwnProperty.call(this.aliases, model) && !model.includes('*')) {
+            return this.aliases[model];
+        }
+
+        const pattern = this.patterns.find(({ regex }) => regex.test(model));
+        if (pattern) {
+            return this.aliases[pattern.alias];
+        }
+
+        if (this.targets.has(model) || CLAUDE_MODEL_ID.test(model)) {
+            return model;
+        }
+
+        return null;
+    }
+
+    // Alias names that can be requested verbatim (wildcards excluded)
+    list() {
+        return Object.keys(this.aliases).filter(alias => !alias.includes('*'));
+    }
+
+    toRegex(pattern) {
+        const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`^${escaped.join('.*')}$`, 'i');
+    }
+}
+
+module.exports = ModelAliases;
\ No newline at end of file
@@ -0,0 +1,109 @@
+const ModelAliases = require('./model-aliases');
+
+// Claude models the CLI knows about. `cliAlias` marks the model the CLI's short name
+// currently resolves to, so aliases pointing at "sonnet" etc. share its metadata.
+const CLAUDE_MODELS = [
+    {
+        id: 'claude-opus-4-1-20250805',
+        cliAlias: 'opus',
+        created: 1754352000,
+        context_window: 200000,
+        max_output_tokens: 32000,
+        features: ['streaming', 'tools', 'response_format', 'vision', 'extended_thinking']
+    },
+    {
+        id: 'claude-opus-4-20250514',
+        created: 1747180800,
+        context_window: 200000,
+        max_output_tokens: 32000,
+        features: ['streaming', 'tools', 'response_format', 'vision', 'extended_thinking']
+    },
+    {
+        id: 'claude-sonnet-4-5-20250929',
+        cliAlias: 'sonnet',
+        created: 1759104000,
+        context_window: 200000,
+        max_output_tokens: 64000,
+        features: ['streaming', 'tools', 'response_format', 'vision', 'extended_thinking']
+    },
+    {
+        id: 'claude-sonnet-4-20250514',
+        created: 1747180800,
+        context_window: 200000,
+        max_output_tokens: 64000,
+        features: ['streaming', 'tools', 'response_format', 'vision', 'extended_thinking']
+    },
+    {
+        id: 'claude-3-7-sonnet-20250219',
+        created: 1739923200,
+        context_window: 200000,
+        max_output_tokens: 64000,
+        features: ['streaming', 'tools', 'response_format', 'vision', 'extended_thinking']
+    },
+    {
+        id: 'claude-haiku-4-5-20251001',
+        cliAlias: 'haiku',
+        created: 1759276800,
+        context_window: 200000,
+        max_output_tokens: 64000,
+        features: ['streaming', 'tools', 'response_format', 'vision', 'extended_thinking']
+    },
+    {
+        id: 'claude-3-5-haiku-20241022',
+        created: 1729555200,
+        context_window: 200000,
+        max_output_tokens: 8192,
+        features: ['streaming', 'tools', 'response_format', 'vision']
+    }
+];
+
+// Every current Claude model has a 200k token context, so models the catalog does not
+// list (such as the CLI's configured default) are assumed to as well
+const DEFAULT_CONTEXT_WINDOW = 200000;
+
+// Model entries for /v1/models: known Claude models plus every requestable alias
+class ModelCatalog {
+    constructor(config) {
+        this.config = config;
+        this.modelAliases = new ModelAliases(config);
+    }
+
+    list() {
+        const ids = CLAUDE_MODELS.map(model => model.id).concat(this.modelAliases.list());
+        return [...new Set(ids)].map(id => this.get(id));
+    }
+
+    // Returns the entry for a requestable model id, or null when it would be rejected
+    get(id) {
+        const resolved = this.modelAliases.resolve(id);
+        if (!resolved) {
+            return null;
+        }
+
+        const model = this.findModel(id) || this.findModel(resolved);
+
+        return {
+            id,
+            object: 'model',
+            created: model ? model.created : Math.floor(Date.now() / 1000),
+            owned_by: 'anthropic',
+            // What is passed to the Claude CLI as --model ("default" means its configured model)
+            resolves_to: resolved,
+            context_window: model ? model.context_window : null,
+            max_output_tokens: model ? model.max_output_tokens : null,
+            features: model ? model.features : []
+        };
+    }
+
+    // Context window in tokens for a requestable model id
+    contextWindow(id) {
+        const entry = this.get(id);
+        return entry && entry.context_window ? entry.context_window : DEFAULT_CONTEXT_WINDOW;
+    }
+
+    findModel(name) {
+        return CLAUDE_MODELS.find(model => model.id === name || model.cliAlias === name) || null;
+    }
+}
+
+module.exports = ModelCatalog;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const { JSONSchemaValidator } = require('./json-schema');
 
 class ValidationError extends Error {
     constructor(message, field = null, code = 'validation_error') {
@@ -10,6 +11,16 @@ class ValidationError extends Error {
     }
 }
 
+class APIError extends Error {
+    constructor(message, statusCode = 500, type = 'api_error', code = null) {
+        super(message);
+        this.name = 'APIError';
+        this.statusCode = statusCode;
+        this.type = type;
+        this.code = code || type;
+    }
+}
+
 class OpenAIModels {
     static validateMessage(message) {
         if (!message || typeof message !== 'object') {
@@ -20,43 +31,196 @@ class OpenAIModels {
             throw new ValidationError('Message role is required and must be a string', 'message.role');
         }
 
-        const validRoles = ['system', 'user', 'assistant'];
+        const validRoles = ['system', 'developer', 'user', 'assistant', 'tool', 'function'];
         if (!validRoles.includes(message.role)) {
             throw new ValidationError(`Message role must be one of: ${validRoles.join(', ')}`, 'message.role');
         }
 
-        if (!message.content) {
-            throw new ValidationError('Message content is required', 'message.content');
+        const validated = { role: message.role };
+
+        // Assistant messages that only carry tool calls may have null content
+        const hasToolCalls = message.role === 'assistant' &&
+            (this.hasToolCallList(message) || (message.function_call !== undefined && message.function_call !== null));
+
+        if (message.role === 'tool') {
+            if (!message.tool_call_id || typeof message.tool_call_id !== 'string') {
+                throw new ValidationError('Tool messages require a tool_call_id string', 'message.tool_call_id');
+            }
+            validated.tool_call_id = message.tool_call_id;
+        }
+
+        if (message.role === 'function') {
+            if (!message.name || typeof message.name !== 'string') {
+                throw new ValidationError('Function messages require a name string', 'message.name');
+            }
+            validated.name = message.name;
+        } else if (message.name !== undefined && message.name !== null) {
+            // Speaker names are written into the transcript, so keep them to plain identifiers
+            if (typeof message.name !== 'string' || !/^[a-zA-Z0-9_-]{1,64}$/.test(message.name)) {
+                throw new ValidationError('name must be 1-64 characters of letters, digits, underscores or hyphens', 'message.name');
+            }
+            validated.name = message.name;
+        }
+
+        if (hasToolCalls) {
+            validated.tool_calls = this.validateToolCalls(message);
+        }
+
+        if (message.content === null || message.content === undefined || message.content === '') {
+            if (!hasToolCalls && message.role !== 'tool' && message.role !== 'function') {
+                throw new ValidationError('Message content is required', 'message.content');
+            }
+            validated.content = hasToolCalls ? null : '';
+            return validated;
         }
 
         // Handle both string and array content
         if (typeof message.content === 'string') {
             // Simple text content
-            return {
-                role: message.role,
-                content: message.content
-            };
+            validated.content = message.content;
         } else if (Array.isArray(message.content)) {
-            // Multimodal content - for now, convert to text
-            const textContent = message.content
-                .filter(item => item.type === 'text')
-                .map(item => item.text)
-                .join('\n');
-            
-            if (!textContent) {
-                throw new ValidationError('Message must contain at least one text content block', 'message.content');
+            validated.content = this.validateContentParts(message);
+        } else {
+            throw new ValidationError('Message content must be a string or array', 'message.content');
+        }
+
+        return validated;
+    }
+
+    // Text parts are joined into a string; with image_url parts (user messages only) the
+    // text and image parts are kept in order. Other part types are ignored.
+    static validateContentParts(message) {
+        const parts = message.content.map((part, index) => {
+            if (part && part.type === 'text' && typeof part.text === 'string') {
+                return { type: 'text', text: part.text };
+            }
+
+            if (!part || part.type !== 'image_url') {
+                return null;
+            }
+
+            if (message.role !== 'user') {
+                throw new ValidationError('image_url content parts are only allowed in user messages', 'message.content');
+            }
+
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url && part.image_url.url;
+            if (!url || typeof url !== 'string') {
+                throw new ValidationError(`content[${index}].image_url.url must be a string`, 'message.content');
+            }
+
+            return { type: 'image_url', image_url: { url } };
+        }).filter(Boolean);
+
+        if (parts.some(part => part.type === 'image_url')) {
+            return parts;
+        }
+
+        const textContent = parts.map(part => part.text).join('\n');
+        if (!textContent) {
+            throw new ValidationError('Message must contain at least one text content block', 'message.content');
+        }
+
+        return textContent;
+    }
+
+    // OpenAI SDKs replay history with tool_calls: null (or []) and function_call: null on plain
+    // replies; those mean "no tool calls"
+    static hasToolCallList(message) {
+        const toolCalls = message.tool_calls;
+        return toolCalls !== undefined && toolCalls !== null && !(Array.isArray(toolCalls) && toolCalls.length === 0);
+    }
+
+    static validateToolCalls(message) {
+        // Legacy function_call is converted to a single tool call
+        const toolCalls = this.hasToolCallList(message)
+            ? message.tool_calls
+            : [{ id: `call_${crypto.randomBytes(12).toString('hex')}`, type: 'function', function: message.function_call }];
+
+        if (!Array.isArray(toolCalls)) {
+            throw new ValidationError('tool_calls must be an array', 'message.tool_calls');
+        }
+
+        return toolCalls.map((call, index) => {
+            if (!call || typeof call !== 'object' || !call.function || typeof call.function.name !== 'string') {
+                throw new ValidationError(`tool_calls[${index}] must include function.name`, 'message.tool_calls');
             }
 
             return {
-                role: message.role,
-                content: textContent
+                id: call.id || `call_${crypto.randomBytes(12).toString('hex')}`,
+                type: 'function',
+                function: {
+                    name: call.function.name,
+                    arguments: typeof call.function.arguments === 'string'
+                        ? call.function.arguments
+                        : JSON.stringify(call.function.arguments || {})
+                }
             };
-        } else {
-            throw new ValidationError('Message content must be a string or array', 'message.content');
+        });
+    }
+
+    static validateTools(body) {
+        if (body.tools !== undefined) {
+            if (!Array.isArray(body.tools)) {
+                throw new ValidationError('tools must be an array', 'tools');
+            }
+
+            body.tools.forEach((tool, index) => {
+                if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function.name !== 'string' || !tool.function.name) {
+                    throw new ValidationError(`tools[${index}] must be {type: "function", function: {name, ...}}`, `tools[${index}]`);
+                }
+            });
+        }
+
+        if (body.functions !== undefined) {
+            if (!Array.isArray(body.functions)) {
+                throw new ValidationError('functions must be an array', 'functions');
+            }
+
+            body.functions.forEach((fn, index) => {
+                if (!fn || typeof fn.name !== 'string' || !fn.name) {
+                    throw new ValidationError(`functions[${index}] must include a name`, `functions[${index}]`);
+                }
+            });
         }
     }
 
-    static validateChatCompletionRequest(body) {
+    static validateToolChoice(body) {
+        const field = body.tool_choice !== undefined ? 'tool_choice' : 'function_call';
+        const choice = body[field];
+        if (choice === undefined) {
+            return;
+        }
+
+        const toolNames = (body.tools || []).map(tool => tool.function.name)
+            .concat((body.functions || []).map(fn => fn.name));
+
+        if (typeof choice === 'string') {
+            const validModes = field === 'tool_choice' ? ['none', 'auto', 'required'] : ['none', 'auto'];
+            if (!validModes.includes(choice)) {
+                throw new ValidationError(`${field} must be one of: ${validModes.join(', ')}, or a specific function`, field);
+            }
+            if (choice !== 'none' && toolNames.length === 0) {
+                throw new ValidationError(`${field} is only allowed when tools are specified`, field);
+            }
+            return;
+        }
+
+        const name = choice && (field === 'tool_choice'
+            ? choice.type === 'function' && choice.function && choice.function.name
+            : choice.name);
+
+        if (!name || typeof name !== 'string') {
+            const shape = field === 'tool_choice' ? '{type: "function", function: {name}}' : '{name}';
+            throw new ValidationError(`${field} must be a string or ${shape}`, field);
+        }
+
+        if (!toolNames.includes(name)) {
+            throw new ValidationError(`${field} references unknown function: ${name}`, field);
+        }
+    }
+
+    // options.maxChoices caps n (defaults to 1)
+    static validateChatCompletionRequest(body, options = {}) {
         if (!body || typeof body !== 'object') {
             throw new ValidationError('Request body must be an object');
         }
@@ -92,7 +256,8 @@ class OpenAIModels {
             enable_tools: Boolean(body.enable_tools)
         };
 
-        // Pass through tools and functions (to be checked later)
+        // Validate and pass through tools and legacy functions
+        this.validateTools(body);
         if (body.tools) {
             validated.tools = body.tools;
         }
@@ -100,6 +265,171 @@ class OpenAIModels {
             validated.functions = body.functions;
         }
 
+        // Validate tool_choice (or legacy function_call) and parallel_tool_calls
+        this.validateToolChoice(body);
+        if (body.tool_choice !== undefined) {
+            validated.tool_choice = body.tool_choice;
+        }
+        if (body.function_call !== undefined) {
+            validated.function_call = body.function_call;
+        }
+
+        if (body.parallel_tool_calls !== undefined) {
+            if (typeof body.parallel_tool_calls !== 'boolean') {
+                throw new ValidationError('parallel_tool_calls must be a boolean', 'parallel_tool_calls');
+            }
+            validated.parallel_tool_calls = body.parallel_tool_calls;
+        }
+
+        this.validateSamplingParameters(body, validated, options);
+        this.validateStreamOptions(body, validated);
+        this.validateReasoningOptions(body, validated);
+
+        // Extension: how to handle a history longer than the model's context window (default: CONTEXT_STRATEGY)
+        if (body.context_strategy !== undefined && body.context_strategy !== null) {
+            const validStrategies = ['error', 'truncate', 'summarize'];
+            if (!validStrategies.includes(body.context_strategy)) {
+                throw new ValidationError(`context_strategy must be one of: ${validStrategies.join(', ')}`, 'context_strategy');
+            }
+            validated.context_strategy = body.context_strategy;
+        }
+
+        // Validate response_format if provided
+        if (body.response_format !== undefined && body.response_format !== null) {
+            validated.response_format = this.validateResponseFormat(body.response_format);
+        }
+
+        return validated;
+    }
+
+    static validateResponseFormat(format) {
+        const validTypes = ['text', 'json_object', 'json_schema'];
+        if (!format || typeof format !== 'object' || !validTypes.includes(format.type)) {
+            throw new ValidationError(`response_format.type must be one of: ${validTypes.join(', ')}`, 'response_format.type');
+        }
+
+        if (format.type !== 'json_schema') {
+            return { type: format.type };
+        }
+
+        const jsonSchema = format.json_schema;
+        if (!jsonSchema || typeof jsonSchema !== 'object') {
+            throw new ValidationError('response_format.json_schema is required for type json_schema', 'response_format.json_schema');
+        }
+
+        if (!jsonSchema.schema || typeof jsonSchema.schema !== 'object') {
+            throw new ValidationError('response_format.json_schema.schema must be a JSON Schema object', 'response_format.json_schema.schema');
+        }
+
+        if (jsonSchema.name !== undefined && typeof jsonSchema.name !== 'string') {
+            throw new ValidationError('response_format.json_schema.name must be a string', 'response_format.json_schema.name');
+        }
+
+        // A schema that cannot be applied (bad pattern, unresolvable or endless $ref) is the caller's
+        // error, reported before any Claude run rather than as failed validations of every reply
+        try {
+            new JSONSchemaValidator(jsonSchema.schema).checkSchema();
+        } catch (error) {
+            throw new APIError(`response_format.json_schema.schema is invalid: ${error.message}`, 400, 'invalid_request_error', 'invalid_json_schema');
+        }
+
+        return {
+            type: 'json_schema',
+            json_schema: {
+                name: jsonSchema.name,
+                description: jsonSchema.description,
+                schema: jsonSchema.schema,
+                strict: Boolean(jsonSchema.strict)
+            }
+        };
+    }
+
+    static validateCompletionRequest(body) {
+        if (!body || typeof body !== 'object') {
+            throw new ValidationError('Request body must be an object');
+        }
+
+        if (!body.model || typeof body.model !== 'string') {
+            throw new ValidationError('Model is required and must be a string', 'model');
+        }
+
+        // prompt may be a string or an array of strings; token arrays are not supported
+        let prompts;
+        if (typeof body.prompt === 'string') {
+            prompts = [body.prompt];
+        } else if (Array.isArray(body.prompt) && body.prompt.length > 0 && body.prompt.every(p => typeof p === 'string')) {
+            prompts = body.prompt;
+        } else {
+            throw new ValidationError('prompt is required and must be a string or an array of strings', 'prompt');
+        }
+
+        const validated = {
+            model: body.model,
+            prompts,
+            stream: Boolean(body.stream),
+            echo: Boolean(body.echo)
+        };
+
+        if (body.suffix !== undefined && body.suffix !== null) {
+            if (typeof body.suffix !== 'string') {
+                throw new ValidationError('suffix must be a string', 'suffix');
+            }
+            validated.suffix = body.suffix;
+        }
+
+        this.validateSamplingParameters(body, validated);
+        this.validateStreamOptions(body, validated);
+
+        return validated;
+    }
+
+    // stream_options.include_usage asks for a final chunk carrying the usage
+    static validateStreamOptions(body, validated) {
+        if (body.stream_options === undefined || body.stream_options === null) {
+            return;
+        }
+
+        if (typeof body.stream_options !== 'object' || Array.isArray(body.stream_options)) {
+            throw new ValidationError('stream_options must be an object', 'stream_options');
+        }
+
+        if (!body.stream) {
+            throw new ValidationError('stream_options is only allowed when stream is true', 'stream_options');
+        }
+
+        const includeUsage = body.stream_options.include_usage;
+        if (includeUsage !== undefined && typeof includeUsage !== 'boolean') {
+            throw new ValidationError('stream_options.include_usage must be a boolean', 'stream_options.include_usage');
+        }
+
+        validated.stream_options = { include_usage: Boolean(includeUsage) };
+    }
+
+    // reasoning_effort and include_reasoning turn on extended thinking; the thinking is
+    // returned as reasoning_content unless include_reasoning is false
+    static validateReasoningOptions(body, validated) {
+        if (body.reasoning_effort !== undefined && body.reasoning_effort !== null) {
+            const validEfforts = ['low', 'medium', 'high'];
+            if (!validEfforts.includes(body.reasoning_effort)) {
+                throw new ValidationError(`reasoning_effort must be one of: ${validEfforts.join(', ')}`, 'reasoning_effort');
+            }
+            validated.reasoning_effort = body.reasoning_effort;
+        }
+
+        if (body.include_reasoning !== undefined && body.include_reasoning !== null) {
+            if (typeof body.include_reasoning !== 'boolean') {
+                throw new ValidationError('include_reasoning must be a boolean', 'include_reasoning');
+            }
+            validated.include_reasoning = body.include_reasoning;
+        }
+    }
+
+    static includesStreamUsage(request) {
+        return Boolean(request.stream_options && request.stream_options.include_usage);
+    }
+
+    // Parameters shared by chat and text completions
+    static validateSamplingParameters(body, validated, options = {}) {
         // Validate temperature if provided
         if (body.temperature !== undefined) {
             if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2) {
@@ -125,77 +455,156 @@ class OpenAIModels {
         }
 
         // Validate n if provided
-        if (body.n !== undefined) {
-            if (!Number.isInteger(body.n) || body.n < 1 || body.n > 1) {
-                throw new ValidationError('n must be 1 (multiple responses not supported)', 'n');
+        if (body.n !== undefined && body.n !== null) {
+            const maxChoices = options.maxChoices || 1;
+            if (!Number.isInteger(body.n) || body.n < 1 || body.n > maxChoices) {
+                const message = maxChoices === 1
+                    ? 'n must be 1 (multiple responses not supported)'
+                    : `n must be an integer between 1 and ${maxChoices}`;
+                throw new ValidationError(message, 'n');
             }
             validated.n = body.n;
         }
 
         // Validate stop if provided
-        if (body.stop !== undefined) {
+        if (body.stop !== undefined && body.stop !== null) {
             if (typeof body.stop === 'string') {
                 validated.stop = [body.stop];
             } else if (Array.isArray(body.stop)) {
                 if (body.stop.length > 4) {
                     throw new ValidationError('stop array cannot contain more than 4 elements', 'stop');
                 }
+                if (body.stop.some(sequence => typeof sequence !== 'string')) {
+                    throw new ValidationError('stop must be a string or array of strings', 'stop');
+                }
                 validated.stop = body.stop;
             } else {
                 throw new ValidationError('stop must be a string or array of strings', 'stop');
             }
         }
-
-        return validated;
     }
 
     static createChatCompletionResponse(request, content, usage = {}, toolCalls = null) {
-        const id = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
-        const timestamp = Math.floor(Date.now() / 1000);
+        const choice = this.createChatChoice(request, content, toolCalls, 0);
+        return this.createChatCompletionFromChoices(request, [choice], usage);
+    }
 
+    static createChatChoice(request, content, toolCalls = null, index = 0, finishReason = null) {
         const message = {
             role: 'assistant',
             content: content
         };
 
         // Add tool_calls if present
-        if (toolCalls && Array.isArray(toolCalls) && toolCalls.length > 0) {
+        const hasToolCalls = Boolean(toolCalls && Array.isArray(toolCalls) && toolCalls.length > 0);
+        let choiceFinishReason = finishReason || (hasToolCalls ? 'tool_calls' : 'stop');
+
+        if (hasToolCalls && request.functions && !request.tools) {
+            // Legacy functions API returns a single function_call
+            message.function_call = toolCalls[0].function;
+            choiceFinishReason = 'function_call';
+        } else if (hasToolCalls) {
             message.tool_calls = toolCalls;
         }
 
         return {
-            id,
+            index,
+            message,
+            finish_reason: choiceFinishReason
+        };
+    }
+
+    static createChatCompletionFromChoices(request, choices, usage = {}) {
+        return {
+            id: this.createCompletionId(),
             object: 'chat.completion',
-            created: timestamp,
+            created: Math.floor(Date.now() / 1000),
             model: request.model,
-            choices: [{
-                index: 0,
-                message,
-                finish_reason: toolCalls ? 'tool_calls' : 'stop'
-            }],
-            usage: {
-                prompt_tokens: usage.prompt_tokens || 0,
-                completion_tokens: usage.completion_tokens || 0,
-                total_tokens: (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
-            }
+            choices,
+            usage: this.createUsage(usage)
         };
     }
 
-    static createStreamingChunk(request, delta, finishReason = null) {
-        const id = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
-        const timestamp = Math.floor(Date.now() / 1000);
+    static createStreamingChunk(request, delta, finishReason = null, meta = {}) {
+        // All chunks of one stream should share the same id and created timestamp
+        const id = meta.id || this.createCompletionId();
+        const timestamp = meta.created || Math.floor(Date.now() / 1000);
 
-        return {
+        const chunk = {
             id,
             object: 'chat.completion.chunk',
             created: timestamp,
             model: request.model,
             choices: [{
-                index: 0,
+                index: meta.index || 0,
                 delta,
                 finish_reason: finishReason
             }]
         };
+
+        // With include_usage every chunk carries usage: null until the final usage chunk
+        if (this.includesStreamUsage(request)) {
+            chunk.usage = null;
+        }
+
+        return chunk;
+    }
+
+    // Final chunk for stream_options.include_usage: no choices, only usage
+    static createUsageChunk(request, usage, meta = {}) {
+        return {
+            id: meta.id || this.createCompletionId(),
+            object: meta.object || 'chat.completion.chunk',
+            created: meta.created || Math.floor(Date.now() / 1000),
+            model: request.model,
+            choices: [],
+            usage: this.createUsage(usage)
+        };
+    }
+
+    static createTextCompletionResponse(request, texts, usage = {}, finishReasons = []) {
+        return {
+            id: this.createTextCompletionId(),
+            object: 'text_completion',
+            created: Math.floor(Date.now() / 1000),
+            model: request.model,
+            choices: texts.map((text, index) => ({
+                text,
+                index,
+                logprobs: null,
+                finish_reason: finishReasons[index] || 'stop'
+            })),
+            usage: this.createUsage(usage)
+        };
+    }
+
+    static createTextCompletionChunk(request, text, index = 0, finishReason = null, meta = {}) {
+        const chunk = {
+            id: meta.id || this.createTextCompletionId(),
+            object: 'text_completion',
+            created: meta.created || Math.floor(Date.now() / 1000),
+            model: request.model,
+            choices: [{
+                text,
+                index,
+                logprobs: null,
+                finish_reason: finishReason
+            }]
+        };
+
+        if (this.includesStreamUsage(request)) {
+            chunk.usage = null;
+        }
+
+        return chunk;
+    }
+
+    static createCompletionId() {
+        return `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
+    }
+
+    static createTextCompletionId() {
+        return `cmpl-${crypto.randomBytes(16).toString('hex')}`;
     }
 
     static createErrorResponse(message, type = 'api_error', code = null) {
@@ -223,6 +632,68 @@ class OpenAIModels {
     }
 
 
+    // OpenAI usage block; cost_usd is an extension carrying what the Claude CLI reported
+    static createUsage(usage = {}) {
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        const result = {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            prompt_tokens_details: {
+                cached_tokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0
+            }
+        };
+
+        if (usage.cost_usd !== undefined && usage.cost_usd !== null) {
+            result.cost_usd = usage.cost_usd;
+        }
+
+        return result;
+    }
+
+    // Usage from the CLI's `result` event (see ClaudeEvents). Prompt tokens include cache reads and writes,
+    // as OpenAI counts cached tokens as part of the prompt. cache_creation_tokens is kept for the
+    // Anthropic usage block and dropped by createUsage.
+    static createUsageFromResult(resultEvent) {
+        const usage = resultEvent.usage || {};
+        const cachedTokens = usage.cache_read_input_tokens || 0;
+        const cacheCreationTokens = usage.cache_creation_input_tokens || 0;
+        const promptTokens = (usage.input_tokens || 0) + cacheCreationTokens + cachedTokens;
+        const completionTokens = usage.output_tokens || 0;
+
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens,
+            prompt_tokens_details: { cached_tokens: cachedTokens, cache_creation_tokens: cacheCreationTokens },
+            cost_usd: resultEvent.costUsd
+        };
+    }
+
+    // Add up usage from several CLI runs (n > 1, retries, multiple prompts)
+    static sumUsage(usages) {
+        const total = this.createUsage();
+        let cost = null;
+
+        for (const usage of usages) {
+            const normalized = this.createUsage(usage);
+            total.prompt_tokens += normalized.prompt_tokens;
+            total.completion_tokens += normalized.completion_tokens;
+            total.total_tokens += normalized.total_tokens;
+            total.prompt_tokens_details.cached_tokens += normalized.prompt_tokens_details.cached_tokens;
+            if (normalized.cost_usd !== undefined) {
+                cost = (cost || 0) + normalized.cost_usd;
+            }
+        }
+
+        if (cost !== null) {
+            total.cost_usd = cost;
+        }
+
+        return total;
+    }
+
     // Helper method to estimate token count (rough approximation)
     static estimateTokens(text) {
         if (!text) return 0;
@@ -238,28 +709,6 @@ class OpenAIModels {
         // This allows for future models without needing to update the hardcoded list
         return model;
     }
-
-    // Helper method to filter content (remove tool usage, thinking blocks)
-    static filterContent(content) {
-        if (!content || typeof content !== 'string') {
-            return content;
-        }
-
-        // Remove tool usage blocks
-        content = content.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
-        
-        // Remove thinking blocks
-        content = content.replace(/<thinking>[\s\S]*?<\/antml:thinking>/g, '');
-        
-        // Remove Claude Code specific markers
-        content = content.replace(/\[Tool Use:.*?\]/g, '');
-        content = content.replace(/\[File: .*?\]/g, '');
-        
-        // Clean up extra whitespace
-        content = content.replace(/\n\s*\n\s*\n/g, '\n\n').trim();
-        
-        return content;
-    }
 }
 
-module.exports = { OpenAIModels, ValidationError };
\ No newline at end of file
+module.exports = { OpenAIModels, ValidationError, APIError };
\ No newline at end of file
@@ -0,0 +1,46 @@
+// Assistant prefill: when a conversation ends with a partial assistant message, Claude is
+// asked to continue it and the reply holds only the continuation. Claude sometimes restates
+// the prefilled text first; this drops that repeat so clients never see it twice.
+class PrefillStripper {
+    constructor(prefill = null) {
+        this.prefill = prefill || '';
+        this.pending = '';
+        this.done = !this.prefill;
+    }
+
+    // Returns the text that can be sent; text that may still turn out to be a repeat of
+    // the prefill is held back until it is decided
+    push(text) {
+        if (this.done || !text) {
+            return text;
+        }
+
+        this.pending += text;
+
+        if (this.pending.length < this.prefill.length && this.prefill.startsWith(this.pending)) {
+            return '';
+        }
+
+        this.done = true;
+        return this.pending.startsWith(this.prefill) ? this.pending.slice(this.prefill.length) : this.pending;
+    }
+
+    // Text still held back at the end of the reply was content after all
+    flush() {
+        const rest = this.done ? '' : this.pending;
+        this.done = true;
+        this.pending = '';
+        return rest;
+    }
+
+    // Strip a repeated prefill from a complete reply
+    static strip(text, prefill) {
+        if (!prefill || typeof text !== 'string' || !text.startsWith(prefill)) {
+            return text;
+        }
+
+        return text.slice(prefill.length);
+    }
+}
+
+module.exports = PrefillStripper;
\ No newline at end of file
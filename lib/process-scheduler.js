@@ -0,0 +1,124 @@
+const { APIError } = require('./models');
+
+// Seconds clients are told to wait (Retry-After) when the queue turns them away
+const RETRY_AFTER_SECONDS = 5;
+
+// Interval of the waiting callback, used for SSE keepalive comments while a request is queued
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+// Limits how many Claude CLI processes run at once (MAX_CONCURRENT_PROCESSES). Further runs
+// wait in a FIFO queue of at most MAX_QUEUE_SIZE for up to QUEUE_TIMEOUT seconds; past that
+// they fail with a 429 carrying retryAfter. Shared by every ClaudeCLI the handlers create.
+class ProcessScheduler {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.running = 0;
+        this.queue = [];
+        // Process slots and queue places held by reservations whose runs have not started yet
+        this.reserved = 0;
+    }
+
+    // Throws when `count` runs would not all fit in the free process slots and queue places
+    checkCapacity(count = 1) {
+        const free = Math.max(0, this.config.maxConcurrentProcesses - this.running) +
+            Math.max(0, this.config.maxQueueSize - this.queue.length) - this.reserved;
+        if (count > free) {
+            const needed = count > 1 ? ` (this request needs ${count} runs)` : '';
+            throw this.busyError(`Too many requests: ${this.running} Claude CLI processes are running and ${this.queue.length} are queued${needed}. Retry later.`, 'queue_full');
+        }
+    }
+
+    // Hold places for the `count` runs a request is about to start (a chat's n choices, one per
+    // prompt), so a full queue is reported before a streaming response has been started. Each
+    // run passes the reservation to acquire(); release() gives back the places no run took.
+    reserve(count = 1) {
+        this.checkCapacity(count);
+        this.reserved += count;
+
+        const reservation = {
+            remaining: count,
+            release: () => {
+                this.reserved -= reservation.remaining;
+                reservation.remaining = 0;
+            }
+        };
+
+        return reservation;
+    }
+
+    // Resolves with a release function once a process may start. onWaiting is called every
+    // KEEPALIVE_INTERVAL_MS while queued; returning false (client gone) gives up the place.
+    // A run holding a reservation never fails the capacity check: its place was counted.
+    acquire(onWaiting = null, reservation = null) {
+        if (reservation && reservation.remaining > 0) {
+            reservation.remaining--;
+            this.reserved--;
+        } else {
+            this.checkCapacity();
+        }
+
+        if (this.running < this.config.maxConcurrentProcesses) {
+            this.running++;
+            return Promise.resolve(this.createRelease());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {};
+            const leave = () => {
+                clearTimeout(waiter.timer);
+                clearInterval(waiter.keepalive);
+                this.queue = this.queue.filter(entry => entry !== waiter);
+            };
+
+            waiter.grant = () => {
+                leave();
+                this.running++;
+                resolve(this.createRelease());
+            };
+
+            waiter.timer = setTimeout(() => {
+                leave();
+                reject(this.busyError(`Timed out after ${this.config.queueTimeout}s waiting for a free Claude CLI process. Retry later.`, 'queue_timeout'));
+            }, this.config.queueTimeout * 1000);
+
+            if (onWaiting) {
+                waiter.keepalive = setInterval(() => {
+                    if (onWaiting() === false) {
+                        leave();
+                        reject(new Error('Client disconnected while queued for a Claude CLI process'));
+                    }
+                }, KEEPALIVE_INTERVAL_MS);
+            }
+
+            this.queue.push(waiter);
+            this.logger.debug(`Queued for a Claude CLI process (${this.queue.length} waiting, ${this.running} running)`);
+        });
+    }
+
+    createRelease() {
+        let released = false;
+
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            this.running--;
+
+            // Hand the slot to the longest waiting run
+            if (this.queue.length > 0 && this.running < this.config.maxConcurrentProcesses) {
+                this.queue[0].grant();
+            }
+        };
+    }
+
+    // 429 with the Retry-After value handlers send along
+    busyError(message, code) {
+        const error = new APIError(message, 429, 'rate_limit_error', code);
+        error.retryAfter = RETRY_AFTER_SECONDS;
+        return error;
+    }
+}
+
+module.exports = ProcessScheduler;
\ No newline at end of file
@@ -0,0 +1,54 @@
+// In-memory store for /v1/responses so previous_response_id can chain turns.
+// Entries expire after RESPONSE_STORE_TTL seconds and the oldest are evicted past RESPONSE_STORE_MAX.
+class ResponseStore {
+    constructor(config) {
+        this.config = config;
+        this.entries = new Map();
+    }
+
+    save(response, messages) {
+        this.prune();
+
+        this.entries.set(response.id, {
+            response,
+            // Full conversation including this response's output, for the next turn
+            messages,
+            expiresAt: Date.now() + this.config.responseStoreTtl * 1000
+        });
+
+        // Map keeps insertion order, so the first keys are the oldest
+        while (this.entries.size > this.config.responseStoreMax) {
+            const oldestId = this.entries.keys().next().value;
+            this.entries.delete(oldestId);
+        }
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(id);
+            return null;
+        }
+
+        return entry;
+    }
+
+    delete(id) {
+        return this.entries.delete(id);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [id, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = ResponseStore;
\ No newline at end of file
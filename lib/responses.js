@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const { ValidationError } = require('./models');
+
+class ResponsesModels {
+    static validateResponseRequest(body) {
+        if (!body || typeof body !== 'object') {
+            throw new ValidationError('Request body must be an object');
+        }
+
+        if (!body.model || typeof body.model !== 'string') {
+            throw new ValidationError('model is required and must be a string', 'model');
+        }
+
+        if (body.tools !== undefined && !(Array.isArray(body.tools) && body.tools.length === 0)) {
+            throw new ValidationError('tools are not supported on /v1/responses; use /v1/chat/completions', 'tools');
+        }
+
+        const validated = {
+            model: body.model,
+            input: this.validateInput(body.input),
+            stream: Boolean(body.stream),
+            store: body.store !== false,
+            instructions: null,
+            previous_response_id: null,
+            metadata: body.metadata || {}
+        };
+
+        if (body.instructions !== undefined && body.instructions !== null) {
+            if (typeof body.instructions !== 'string') {
+                throw new ValidationError('instructions must be a string', 'instructions');
+            }
+            validated.instructions = body.instructions;
+        }
+
+        if (body.previous_response_id !== undefined && body.previous_response_id !== null) {
+            if (typeof body.previous_response_id !== 'string') {
+                throw new ValidationError('previous_response_id must be a string', 'previous_response_id');
+            }
+            validated.previous_response_id = body.previous_response_id;
+        }
+
+        if (body.max_output_tokens !== undefined && body.max_output_tokens !== null) {
+            if (!Number.isInteger(body.max_output_tokens) || body.max_output_tokens < 1) {
+                throw new ValidationError('max_output_tokens must be a positive integer', 'max_output_tokens');
+            }
+            validated.max_output_tokens = body.max_output_tokens;
+        }
+
+        if (body.temperature !== undefined && body.temperature !== null) {
+            if (typeof body.temperature !== 'number' || body.temperature < 0 || body.temperature > 2) {
+                throw new ValidationError('temperature must be a number between 0 and 2', 'temperature');
+            }
+            validated.temperature = body.temperature;
+        }
+
+        // truncation "auto" drops the oldest turns when the conversation outgrows the context window
+        if (body.truncation !== undefined && body.truncation !== null) {
+            if (!['auto', 'disabled'].includes(body.truncation)) {
+                throw new ValidationError('truncation must be one of: auto, disabled', 'truncation');
+            }
+            validated.truncation = body.truncation;
+        }
+
+        if (body.top_p !== undefined && body.top_p !== null) {
+            if (typeof body.top_p !== 'number' || body.top_p < 0 || body.top_p > 1) {
+                throw new ValidationError('top_p must be a number between 0 and 1', 'top_p');
+            }
+            validated.top_p = body.top_p;
+        }
+
+        return validated;
+    }
+
+    // input is either a plain string or a list of message items
+    static validateInput(input) {
+        if (typeof input === 'string') {
+            if (!input) {
+                throw new ValidationError('input cannot be empty', 'input');
+            }
+            return [{ role: 'user', content: input }];
+        }
+
+        if (!Array.isArray(input) || input.length === 0) {
+            throw new ValidationError('input is required and must be a string or a non-empty array', 'input');
+        }
+
+        return input.map((item, index) => {
+            try {
+                return this.validateInputItem(item);
+            } catch (error) {
+                throw new ValidationError(`Invalid input item at index ${index}: ${error.message}`, `input[${index}]`);
+            }
+        });
+    }
+
+    static validateInputItem(item) {
+        if (!item || typeof item !== 'object') {
+            throw new ValidationError('Input item must be an object', 'input');
+        }
+
+        if (item.type !== undefined && item.type !== 'message') {
+            throw new ValidationError(`Unsupported input item type: ${item.type}`, 'input.type');
+        }
+
+        const validRoles = ['system', 'developer', 'user', 'assistant'];
+        if (!validRoles.includes(item.role)) {
+            throw new ValidationError(`Input item role must be one of: ${validRoles.join(', ')}`, 'input.role');
+        }
+
+        // developer instructions are folded into the system prompt
+        const role = item.role === 'developer' ? 'system' : item.role;
+
+        if (typeof item.content === 'string') {
+            return { role, content: item.content };
+        }
+
+        if (Array.isArray(item.content)) {
+            const text = item.content.map(part => {
+                if (!part || !['input_text', 'output_text', 'text'].includes(part.type) || typeof part.text !== 'string') {
+                    const type = part && part.type ? part.type : typeof part;
+                    throw new ValidationError(`Unsupported content part type: ${type}`, 'input.content');
+                }
+                return part.text;
+            }).join('\n');
+
+            return { role, content: text };
+        }
+
+        throw new ValidationError('Input item content must be a string or an array of content parts', 'input.content');
+    }
+
+    // Build the full conversation: stored history, then this request's instructions and input.
+    // Instructions are not inherited from previous responses.
+    static toChatMessages(request, history = []) {
+        const messages = [];
+
+        if (request.instructions) {
+            messages.push({ role: 'system', content: request.instructions });
+        }
+
+        return messages.concat(history, request.input);
+    }
+
+    static toChatRequest(request, history = []) {
+        return {
+            model: request.model,
+            messages: this.toChatMessages(request, history),
+            stream: request.stream,
+            max_tokens: request.max_output_tokens,
+            temperature: request.temperature,
+            top_p: request.top_p
+        };
+    }
+
+    static createResponseId() {
+        return `resp_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    static createItemId() {
+        return `msg_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    static createOutputMessage(itemId, text, status = 'completed') {
+        return {
+            type: 'message',
+            id: itemId,
+            status,
+            role: 'assistant',
+            content: text === null ? [] : [{ type: 'output_text', text, annotations: [] }]
+        };
+    }
+
+    // Response skeleton; `output` and `usage` are filled in once Claude has replied
+    static createResponse(request, fields = {}) {
+        return {
+            id: fields.id || this.createResponseId(),
+            object: 'response',
+            created_at: fields.created_at || Math.floor(Date.now() / 1000),
+            status: fields.status || 'completed',
+            error: null,
+            incomplete_details: null,
+            instructions: request.instructions,
+            max_output_tokens: request.max_output_tokens || null,
+            model: request.model,
+            output: fields.output || [],
+            parallel_tool_calls: false,
+            previous_response_id: request.previous_response_id,
+            store: request.store,
+            temperature: request.temperature !== undefined ? request.temperature : 1,
+            text: { format: { type: 'text' } },
+            tool_choice: 'auto',
+            tools: [],
+            top_p: request.top_p !== undefined ? request.top_p : 1,
+            truncation: request.truncation || 'disabled',
+            usage: fields.usage || null,
+            metadata: request.metadata
+        };
+    }
+
+    static createUsage(usage = {}) {
+        const inputTokens = usage.prompt_tokens || 0;
+        const outputTokens = usage.completion_tokens || 0;
+        const result = {
+            input_tokens: inputTokens,
+            input_tokens_details: {
+                cached_tokens: (usage.prompt_tokens_details && usage.prompt_tokens_details.cached_tokens) || 0
+            },
+            output_tokens: outputTokens,
+            output_tokens_details: { reasoning_tokens: 0 },
+            total_tokens: inputTokens + outputTokens
+        };
+
+        if (usage.cost_usd !== undefined && usage.cost_usd !== null) {
+            result.cost_usd = usage.cost_usd;
+        }
+
+        return result;
+    }
+}
+
+module.exports = { ResponsesModels };
\ No newline at end of file
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { ValidationError, APIError } = require('./models');
+
+// Sessions created through /v1/sessions. A session wraps a Claude CLI session: chat requests
+// sent with the X-Claude-Session header carry only their new messages and resume the CLI
+// session, which keeps the earlier turns and working state. Sessions are dropped after
+// SESSION_IDLE_TTL seconds without use; at most MAX_SESSIONS exist at once.
+class SessionManager {
+    constructor(config) {
+        this.config = config;
+        this.sessions = new Map();
+    }
+
+    create(body = {}) {
+        this.prune();
+
+        if (this.sessions.size >= this.config.maxSessions) {
+            throw new APIError(`Session limit reached (${this.config.maxSessions}). Delete unused sessions first.`, 429, 'invalid_request_error', 'session_limit_reached');
+        }
+
+        const metadata = this.validateMetadata(body.metadata);
+        const now = Math.floor(Date.now() / 1000);
+        const session = {
+            id: `sess_${crypto.randomBytes(12).toString('hex')}`,
+            metadata,
+            createdAt: now,
+            lastUsedAt: now,
+            // Set from the CLI's init or result event after the first turn
+            claudeSessionId: null,
+            turns: 0,
+            busy: false
+        };
+
+        this.sessions.set(session.id, session);
+        return session;
+    }
+
+    list() {
+        this.prune();
+        return [...this.sessions.values()];
+    }
+
+    get(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return null;
+        }
+
+        if (this.isExpired(session)) {
+            this.sessions.delete(id);
+            return null;
+        }
+
+        return session;
+    }
+
+    delete(id) {
+        return this.sessions.delete(id);
+    }
+
+    // Claim a session for one request; turns of a session cannot run concurrently
+    acquire(id) {
+        const session = this.get(id);
+        if (!session) {
+            throw this.notFound(id);
+        }
+
+        if (session.busy) {
+            throw new APIError(`Session '${id}' is busy with another request`, 409, 'invalid_request_error', 'session_busy');
+        }
+
+        session.busy = true;
+        return session;
+    }
+
+    release(session) {
+        session.busy = false;
+        session.lastUsedAt = Math.floor(Date.now() / 1000);
+    }
+
+    // The next turn resumes the CLI session this turn ran in (from its init or result event)
+    recordTurn(session, sessionId) {
+        if (!sessionId) {
+            return;
+        }
+
+        session.claudeSessionId = sessionId;
+        session.turns++;
+    }
+
+    toJSON(session) {
+        return {
+            id: session.id,
+            object: 'session',
+            created_at: session.createdAt,
+            last_used_at: session.lastUsedAt,
+            expires_at: session.lastUsedAt + this.config.sessionIdleTtl,
+            claude_session_id: session.claudeSessionId,
+            turns: session.turns,
+            metadata: session.metadata
+        };
+    }
+
+    notFound(id) {
+        return new APIError(`Session '${id}' not found`, 404, 'invalid_request_error', 'session_not_found');
+    }
+
+    validateMetadata(metadata) {
+        if (metadata === undefined || metadata === null) {
+            return {};
+        }
+
+        if (typeof metadata !== 'object' || Array.isArray(metadata) || Object.values(metadata).some(value => typeof value !== 'string')) {
+            throw new ValidationError('metadata must be an object of string values', 'metadata');
+        }
+
+        return { ...metadata };
+    }
+
+    isExpired(session) {
+        // A session in use never expires under its request
+        return !session.busy && (session.lastUsedAt + this.config.sessionIdleTtl) * 1000 <= Date.now();
+    }
+
+    prune() {
+        for (const [id, session] of this.sessions) {
+            if (this.isExpired(session)) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = SessionManager;
\ No newline at end of file
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// Maps conversations to the Claude CLI sessions that hold them, so a chat request that
+// extends a known conversation can send only its new turns with --resume instead of
+// replaying the whole transcript. Conversations are keyed by a hash of the model and
+// messages; entries expire after SESSION_TTL seconds (0 disables reuse) and the oldest
+// are evicted past SESSION_STORE_MAX.
+class SessionStore {
+    constructor(config) {
+        this.config = config;
+        this.entries = new Map();
+    }
+
+    isEnabled() {
+        return this.config.sessionTtl > 0;
+    }
+
+    // Returns { key, sessionId, newMessages } when everything up to the last assistant
+    // message is a stored conversation, or null
+    findResumable(model, messages) {
+        let lastAssistant = -1;
+        messages.forEach((message, index) => {
+            if (message.role === 'assistant') {
+                lastAssistant = index;
+            }
+        });
+
+        // Nothing new to send (or a prefill, which continues the assistant message instead)
+        if (lastAssistant < 0 || lastAssistant === messages.length - 1) {
+            return null;
+        }
+
+        const key = this.fingerprint(model, messages.slice(0, lastAssistant + 1));
+        const entry = this.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        return { key, sessionId: entry.sessionId, newMessages: messages.slice(lastAssistant + 1) };
+    }
+
+    // Record that sessionId holds messages followed by the assistant reply
+    remember(model, messages, reply, sessionId) {
+        const key = this.fingerprint(model, messages.concat({ role: 'assistant', content: reply }));
+        this.set(key, sessionId);
+        return key;
+    }
+
+    // Only what is rendered into the prompt counts, so clients may echo extra fields
+    fingerprint(model, messages) {
+        const normalized = messages.map(message => ({
+            role: message.role,
+            name: message.name || null,
+            content: message.content === undefined ? null : message.content,
+            tool_calls: message.tool_calls || null,
+            tool_call_id: message.tool_call_id || null
+        }));
+
+        return crypto.createHash('sha256').update(JSON.stringify([model, normalized])).digest('hex');
+    }
+
+    set(key, sessionId) {
+        this.prune();
+
+        // Re-insert so a refreshed entry counts as the newest
+        this.entries.delete(key);
+        this.entries.set(key, {
+            sessionId,
+            expiresAt: Date.now() + this.config.sessionTtl * 1000
+        });
+
+        // Map keeps insertion order, so the first keys are the oldest
+        while (this.entries.size > this.config.sessionStoreMax) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+        }
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = SessionStore;
\ No newline at end of file
@@ -0,0 +1,95 @@
+// The Claude CLI has no stop sequence option, so the proxy enforces `stop` itself:
+// whole replies are cut at the first match and streamed replies are watched chunk by chunk.
+class StopSequenceMatcher {
+    constructor(stopSequences = []) {
+        this.stopSequences = StopSequenceMatcher.normalize(stopSequences);
+        this.pending = '';
+        this.stopped = false;
+        this.sequence = null;
+    }
+
+    isEnabled() {
+        return this.stopSequences.length > 0;
+    }
+
+    // Feed streamed text and get back the part that is safe to send. A tail that could be
+    // the start of a stop sequence is held back until the next chunk settles it.
+    push(text) {
+        if (this.stopped) {
+            return '';
+        }
+
+        if (!this.isEnabled()) {
+            return text;
+        }
+
+        const combined = this.pending + text;
+        const match = StopSequenceMatcher.findFirst(combined, this.stopSequences);
+
+        if (match) {
+            this.stopped = true;
+            this.sequence = match.sequence;
+            this.pending = '';
+            return combined.slice(0, match.index);
+        }
+
+        const heldLength = this.partialMatchLength(combined);
+        this.pending = combined.slice(combined.length - heldLength);
+        return combined.slice(0, combined.length - heldLength);
+    }
+
+    // Release held-back text once the reply has ended without a match
+    flush() {
+        const text = this.pending;
+        this.pending = '';
+        return text;
+    }
+
+    // Length of the longest suffix of text that is a proper prefix of some stop sequence
+    partialMatchLength(text) {
+        let longest = 0;
+
+        for (const sequence of this.stopSequences) {
+            for (let length = Math.min(sequence.length - 1, text.length); length > longest; length--) {
+                if (text.endsWith(sequence.slice(0, length))) {
+                    longest = length;
+                    break;
+                }
+            }
+        }
+
+        return longest;
+    }
+
+    static normalize(stopSequences) {
+        return [].concat(stopSequences || []).filter(sequence => typeof sequence === 'string' && sequence.length > 0);
+    }
+
+    static findFirst(text, stopSequences) {
+        let first = null;
+
+        for (const sequence of stopSequences) {
+            const index = text.indexOf(sequence);
+            if (index !== -1 && (!first || index < first.index)) {
+                first = { index, sequence };
+            }
+        }
+
+        return first;
+    }
+
+    // Cut a complete reply at the earliest stop sequence
+    static truncate(text, stopSequences) {
+        const match = typeof text === 'string'
+            ? this.findFirst(text, this.normalize(stopSequences))
+            : null;
+
+        if (!match) {
+            return { text, stopped: false, sequence: null };
+        }
+
+        return { text: text.slice(0, match.index), stopped: true, sequence: match.sequence };
+    }
+}
+
+module.exports = StopSequenceMatcher;
\ No newline at end of file
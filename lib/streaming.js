@@ -1,4 +1,11 @@
 const { OpenAIModels } = require('./models');
+const { AnthropicModels } = require('./anthropic');
+const { ResponsesModels } = require('./responses');
+const StopSequenceMatcher = require('./stop-sequences');
+const PrefillStripper = require('./prefill');
+const TokenBudget = require('./token-budget');
+const { ClaudeEvents } = require('./claude-events');
+const { createTranscriptRenderer } = require('./transcript-renderers');
 
 class StreamingResponse {
     constructor(res, request, logger) {
@@ -7,6 +14,8 @@ class StreamingResponse {
         this.logger = logger;
         this.closed = false;
         this.sentData = false;
+        this.id = OpenAIModels.createCompletionId();
+        this.created = Math.floor(Date.now() / 1000);
         
         this.setupHeaders();
         this.setupCleanup();
@@ -52,8 +61,42 @@ class StreamingResponse {
         }
     }
 
-    writeChunk(delta, finishReason = null) {
-        const chunk = OpenAIModels.createStreamingChunk(this.request, delta, finishReason);
+    // Named SSE event, as used by the Anthropic and Responses stream formats
+    writeEvent(type, data) {
+        if (this.closed) {
+            return false;
+        }
+
+        try {
+            this.res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+            this.sentData = true;
+            return true;
+        } catch (error) {
+            this.logger.error('Error writing SSE event:', error);
+            this.closed = true;
+            return false;
+        }
+    }
+
+    // Final usage chunk, sent only when the client asked for stream_options.include_usage
+    writeUsage(usage) {
+        if (!OpenAIModels.includesStreamUsage(this.request)) {
+            return false;
+        }
+
+        return this.write(OpenAIModels.createUsageChunk(this.request, usage, {
+            id: this.id,
+            created: this.created,
+            object: this.chunkObject
+        }));
+    }
+
+    writeChunk(delta, finishReason = null, index = 0) {
+        const chunk = OpenAIModels.createStreamingChunk(this.request, delta, finishReason, {
+            id: this.id,
+            created: this.created,
+            index
+        });
         return this.write(chunk);
     }
 
@@ -93,83 +136,429 @@ class StreamingResponse {
     }
 }
 
+// View of a StreamingResponse for one choice when n > 1, so chunks from parallel
+// generations are interleaved on the same stream tagged with their choice index
+class ChoiceStream {
+    constructor(stream, index) {
+        this.stream = stream;
+        this.index = index;
+    }
+
+    writeChunk(delta, finishReason = null) {
+        return this.stream.writeChunk(delta, finishReason, this.index);
+    }
+
+    writeError() {
+        // Errors are reported once for the whole response by the handler
+        return false;
+    }
+
+    isClosed() {
+        return this.stream.isClosed();
+    }
+}
+
+// Stream stand-in for collectClaudeStream: processClaudeStream accumulates the content itself
+class CollectingStream {
+    writeChunk() {
+        return true;
+    }
+
+    writeError() {
+        // processClaudeStream rethrows, so the caller reports the error
+        return false;
+    }
+
+    isClosed() {
+        return false;
+    }
+}
+
+// Writes Anthropic Messages API SSE events. Exposes the same writeChunk() interface as
+// StreamingResponse so StreamingManager can drive either format.
+class AnthropicStreamingResponse extends StreamingResponse {
+    constructor(res, request, logger, inputTokens = 0) {
+        super(res, request, logger);
+        this.id = AnthropicModels.createMessageId();
+        this.inputTokens = inputTokens;
+        this.usage = null;
+        this.stopSequence = null;
+        this.outputText = '';
+        this.messageStarted = false;
+        this.blockOpen = false;
+        this.blockIndex = 0;
+    }
+
+    writeChunk(delta, finishReason = null) {
+        if (!this.messageStarted) {
+            this.writeEvent('message_start', {
+                message: {
+                    id: this.id,
+                    type: 'message',
+                    role: 'assistant',
+                    model: this.request.model,
+                    content: [],
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { input_tokens: this.inputTokens, output_tokens: 0 }
+                }
+            });
+            this.writeEvent('ping', {});
+            this.messageStarted = true;
+        }
+
+        if (delta.content) {
+            this.openTextBlock();
+            this.outputText += delta.content;
+            this.writeEvent('content_block_delta', {
+                index: this.blockIndex,
+                delta: { type: 'text_delta', text: delta.content }
+            });
+        }
+
+        if (finishReason) {
+            // Anthropic responses always carry at least one content block
+            this.openTextBlock();
+            this.writeEvent('content_block_stop', { index: this.blockIndex });
+            this.blockOpen = false;
+
+            this.writeEvent('message_delta', {
+                delta: { stop_reason: AnthropicModels.toStopReason(finishReason, this.stopSequence), stop_sequence: this.stopSequence },
+                usage: this.usage
+                    ? AnthropicModels.createUsage(this.usage)
+                    : { output_tokens: OpenAIModels.estimateTokens(this.outputText) }
+            });
+            this.writeEvent('message_stop', {});
+        }
+
+        return !this.closed;
+    }
+
+    // Real usage from the CLI, reported in message_delta instead of the estimate
+    setUsage(usage) {
+        this.usage = usage;
+    }
+
+    // The stop sequence the reply was cut at, reported in message_delta
+    setStopSequence(sequence) {
+        this.stopSequence = sequence;
+    }
+
+    openTextBlock() {
+        if (!this.blockOpen) {
+            this.writeEvent('content_block_start', {
+                index: this.blockIndex,
+                content_block: { type: 'text', text: '' }
+            });
+            this.blockOpen = true;
+        }
+    }
+
+    writeError(error) {
+        const errorData = AnthropicModels.createErrorResponse(error.message, error.type || 'api_error');
+        return this.writeEvent('error', { error: errorData.error });
+    }
+
+    end() {
+        if (this.closed) {
+            return;
+        }
+
+        try {
+            // Anthropic streams end after message_stop, without a [DONE] marker
+            this.res.end();
+            this.closed = true;
+            this.logger.debug('SSE stream ended');
+        } catch (error) {
+            this.logger.error('Error ending SSE stream:', error);
+        }
+    }
+}
+
+// Writes legacy text_completion chunks (choices[].text) for /v1/completions
+class CompletionStreamingResponse extends StreamingResponse {
+    constructor(res, request, logger) {
+        super(res, request, logger);
+        this.id = OpenAIModels.createTextCompletionId();
+        this.chunkObject = 'text_completion';
+        this.choiceIndex = 0;
+    }
+
+    writeText(text, finishReason = null) {
+        const chunk = OpenAIModels.createTextCompletionChunk(this.request, text, this.choiceIndex, finishReason, {
+            id: this.id,
+            created: this.created
+        });
+        return this.write(chunk);
+    }
+
+    writeChunk(delta, finishReason = null) {
+        // Role-only deltas have no text_completion equivalent
+        if (!delta.content && !finishReason) {
+            return !this.closed;
+        }
+
+        return this.writeText(delta.content || '', finishReason);
+    }
+}
+
+// Writes OpenAI Responses API events (response.output_text.delta, ...) for /v1/responses
+class ResponsesStreamingResponse extends StreamingResponse {
+    constructor(res, request, logger, response) {
+        super(res, request, logger);
+        this.response = response;
+        this.itemId = ResponsesModels.createItemId();
+        this.sequenceNumber = 0;
+        this.outputText = '';
+        this.started = false;
+    }
+
+    writeEvent(type, data) {
+        return super.writeEvent(type, { ...data, sequence_number: this.sequenceNumber++ });
+    }
+
+    writeChunk(delta, finishReason = null) {
+        if (!this.started) {
+            this.writeEvent('response.created', { response: { ...this.response, status: 'in_progress' } });
+            this.writeEvent('response.in_progress', { response: { ...this.response, status: 'in_progress' } });
+            this.writeEvent('response.output_item.added', {
+                output_index: 0,
+                item: ResponsesModels.createOutputMessage(this.itemId, null, 'in_progress')
+            });
+            this.writeEvent('response.content_part.added', {
+                item_id: this.itemId,
+                output_index: 0,
+                content_index: 0,
+                part: { type: 'output_text', text: '', annotations: [] }
+            });
+            this.started = true;
+        }
+
+        if (delta.content) {
+            this.outputText += delta.content;
+            this.writeEvent('response.output_text.delta', {
+                item_id: this.itemId,
+                output_index: 0,
+                content_index: 0,
+                delta: delta.content
+            });
+        }
+
+        if (finishReason) {
+            const item = ResponsesModels.createOutputMessage(this.itemId, this.outputText, finishReason === 'length' ? 'incomplete' : 'completed');
+
+            this.writeEvent('response.output_text.done', {
+                item_id: this.itemId,
+                output_index: 0,
+                content_index: 0,
+                text: this.outputText
+            });
+            this.writeEvent('response.content_part.done', {
+                item_id: this.itemId,
+                output_index: 0,
+                content_index: 0,
+                part: item.content[0]
+            });
+            this.writeEvent('response.output_item.done', { output_index: 0, item });
+        }
+
+        return !this.closed;
+    }
+
+    // Final event carrying the finished response object (with usage)
+    complete(response) {
+        const type = response.status === 'incomplete' ? 'response.incomplete' : 'response.completed';
+        return this.writeEvent(type, { response });
+    }
+
+    writeError(error) {
+        return this.writeEvent('error', {
+            code: error.code || null,
+            message: error.message,
+            param: null
+        });
+    }
+
+    end() {
+        if (this.closed) {
+            return;
+        }
+
+        try {
+            this.res.end();
+            this.closed = true;
+            this.logger.debug('SSE stream ended');
+        } catch (error) {
+            this.logger.error('Error ending SSE stream:', error);
+        }
+    }
+}
+
 class StreamingManager {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger;
+        this.transcriptRenderer = createTranscriptRenderer(config);
     }
 
     createStream(res, request) {
         return new StreamingResponse(res, request, this.logger);
     }
 
-    async processClaudeStream(claudeStream, stream, contentCallback = null) {
+    createChoiceStream(stream, index) {
+        return new ChoiceStream(stream, index);
+    }
+
+    createCompletionStream(res, request) {
+        return new CompletionStreamingResponse(res, request, this.logger);
+    }
+
+    createResponsesStream(res, request, response) {
+        return new ResponsesStreamingResponse(res, request, this.logger, response);
+    }
+
+    createAnthropicStream(res, request, inputTokens = 0) {
+        return new AnthropicStreamingResponse(res, request, this.logger, inputTokens);
+    }
+
+    // limits: { stopSequences, maxTokens, includeReasoning, prefill } as set by MessageAdapter.openAIStreamToClaudeOptions.
+    // Resolves { content, reasoning, finishReason, stopSequence, sessionId, resultEvent }; stopSequence
+    // is the stop sequence the reply was cut at, if any. resultEvent is the CLI's final `result` event
+    // (real usage and cost), or null when the process was stopped before sending it; sessionId comes
+    // from it, or from the `init` event when there was none.
+    async processClaudeStream(claudeStream, stream, contentCallback = null, limits = {}) {
         let roleSent = false;
         let contentSent = false;
         let assistantContent = '';
+        let reasoningContent = '';
         let chunkCount = 0;
+        let finishReason = 'stop';
+        let toolCallIndex = 0;
+        let resultEvent = null;
+        let sessionId = null;
+        let receivedDeltas = false;
+        const prefillStripper = new PrefillStripper(limits.prefill);
+        const stopMatcher = new StopSequenceMatcher(limits.stopSequences);
+        const tokenBudget = new TokenBudget(limits.maxTokens);
+
+        const sendRole = () => {
+            if (!roleSent) {
+                this.logger.debug('Sending role chunk');
+                stream.writeChunk({ role: 'assistant', content: '' });
+                roleSent = true;
+            }
+        };
+
+        // Thinking is only sent when the request asked for it (limits.includeReasoning)
+        const sendReasoning = (reasoning) => {
+            if (!reasoning || !limits.includeReasoning) {
+                return;
+            }
+
+            sendRole();
+            stream.writeChunk({ reasoning_content: reasoning });
+            reasoningContent += reasoning;
+        };
+
+        const sendContent = (content) => {
+            if (!content) {
+                return;
+            }
+
+            this.logger.debug('Sending content chunk:', { content });
+            stream.writeChunk({ content });
+            assistantContent += content;
+            contentSent = true;
+
+            // Call content callback if provided
+            if (contentCallback) {
+                contentCallback(content);
+            }
+        };
 
         try {
             this.logger.debug('Starting Claude stream processing...');
             
-            for await (const chunk of claudeStream) {
+            // Typed events from ClaudeProcess.executeStreaming (see ClaudeEvents)
+            for await (const event of claudeStream) {
                 chunkCount++;
-                this.logger.debug(`Processing chunk ${chunkCount}:`, { chunk });
+                this.logger.debug(`Processing event ${chunkCount}:`, { type: event.type });
                 
+                // The run's CLI session, known before any reply text
+                if (event.type === 'init' && event.sessionId) {
+                    sessionId = event.sessionId;
+                }
+
                 // Check if client disconnected
                 if (stream.isClosed()) {
                     this.logger.debug('Client disconnected, stopping Claude stream');
                     break;
                 }
 
-                // Parse Claude output
-                const parsedChunk = this.parseClaudeChunk(chunk);
-                this.logger.debug('Parsed chunk:', parsedChunk);
-                
-                if (parsedChunk.type === 'assistant_message') {
-                    // Send role chunk if not sent yet
-                    if (!roleSent) {
-                        this.logger.debug('Sending role chunk');
-                        stream.writeChunk({ role: 'assistant', content: '' });
-                        roleSent = true;
+                if (event.type === 'thinking_delta') {
+                    receivedDeltas = true;
+                    sendReasoning(event.thinking);
+                } else if (event.type === 'text_delta' || (event.type === 'assistant' && event.toolUses.length === 0)) {
+                    // Complete assistant messages repeat text that already arrived as partial deltas
+                    if (event.type === 'assistant' && receivedDeltas) {
+                        continue;
                     }
 
-                    // Send content chunk
-                    if (parsedChunk.content && parsedChunk.content.trim()) {
-                        const filteredContent = this.filterContent(parsedChunk.content);
-                        if (filteredContent) {
-                            this.logger.debug('Sending content chunk:', { filteredContent });
-                            stream.writeChunk({ content: filteredContent });
-                            assistantContent += filteredContent;
-                            contentSent = true;
-                            
-                            // Call content callback if provided
-                            if (contentCallback) {
-                                contentCallback(filteredContent);
-                            }
-                        }
+                    if (event.type === 'assistant') {
+                        sendReasoning(event.thinking);
                     }
-                } else if (parsedChunk.type === 'tool_calls') {
-                    // Handle tool calls from Claude
-                    this.logger.debug('Received tool calls chunk:', parsedChunk);
-                    
-                    // Send role chunk if not sent yet
-                    if (!roleSent) {
-                        stream.writeChunk({ role: 'assistant', content: '' });
-                        roleSent = true;
+
+                    sendRole();
+
+                    if (event.type === 'text_delta') {
+                        // Token-level text is forwarded as is; trimming would eat the spaces between tokens
+                        receivedDeltas = true;
+                        sendContent(tokenBudget.push(stopMatcher.push(prefillStripper.push(event.text))));
+                    } else {
+                        const cleanedText = this.transcriptRenderer.cleanReply(ClaudeEvents.cleanText(event.text));
+                        if (cleanedText) {
+                            sendContent(tokenBudget.push(stopMatcher.push(prefillStripper.push(cleanedText))));
+                        }
                     }
-                    
-                    // Send tool calls in OpenAI format
-                    if (parsedChunk.tool_calls) {
-                        stream.writeChunk({ tool_calls: parsedChunk.tool_calls });
+
+                    // Leaving the loop ends the CLI process; the reply is complete
+                    if (stopMatcher.stopped) {
+                        this.logger.debug(`Stop sequence matched: ${JSON.stringify(stopMatcher.sequence)}`);
                         contentSent = true;
+                        break;
+                    }
+
+                    if (tokenBudget.exhausted) {
+                        this.logger.debug(`max_tokens reached (${limits.maxTokens}), ending Claude stream`);
+                        finishReason = 'length';
+                        break;
+                    }
+                } else if (event.type === 'assistant') {
+                    // Tool use by Claude, sent in OpenAI format
+                    const toolCalls = this.toToolCalls(event.toolUses);
+                    this.logger.debug('Received tool calls:', toolCalls);
+
+                    sendRole();
+
+                    this.writeToolCallDeltas(stream, toolCalls, toolCallIndex);
+                    toolCallIndex += toolCalls.length;
+                    finishReason = 'tool_calls';
+                    contentSent = true;
+                } else if (event.type === 'result') {
+                    resultEvent = event;
+                    sessionId = event.sessionId || sessionId;
+                    if (resultEvent.isError) {
+                        throw new Error(`Claude CLI returned an error: ${resultEvent.text}`);
                     }
-                } else if (parsedChunk.type === 'error') {
-                    this.logger.error('Claude stream error chunk:', parsedChunk);
-                    throw new Error(parsedChunk.error || 'Claude stream error');
                 }
             }
 
+            // Text held back as a possible prefill repeat or stop sequence prefix turned out to be content
+            if (!tokenBudget.exhausted) {
+                sendContent(tokenBudget.push(stopMatcher.push(prefillStripper.flush())));
+                sendContent(tokenBudget.push(stopMatcher.flush()));
+            }
+
             this.logger.debug(`Claude stream completed. Chunks processed: ${chunkCount}, roleSent: ${roleSent}, contentSent: ${contentSent}`);
 
             // Handle case where no content was sent
@@ -193,13 +582,22 @@ class StreamingManager {
                 roleSent = true;
             }
 
+            // Formats that report usage in their closing events (Anthropic) take the real numbers
+            if (resultEvent && typeof stream.setUsage === 'function') {
+                stream.setUsage(OpenAIModels.createUsageFromResult(resultEvent));
+            }
+
+            if (stopMatcher.stopped && typeof stream.setStopSequence === 'function') {
+                stream.setStopSequence(stopMatcher.sequence);
+            }
+
             // Send final chunk
             if (roleSent) {
                 this.logger.debug('Sending final chunk');
-                stream.writeChunk({}, 'stop');
+                stream.writeChunk({}, finishReason);
             }
 
-            return assistantContent;
+            return { content: assistantContent, reasoning: reasoningContent, finishReason, stopSequence: stopMatcher.sequence, sessionId, resultEvent };
 
         } catch (error) {
             this.logger.error('Error processing Claude stream:', error);
@@ -212,188 +610,89 @@ class StreamingManager {
         }
     }
 
-    parseClaudeChunk(chunk) {
-        try {
-            // If chunk is already an object (from Claude CLI parsing)
-            if (typeof chunk === 'object') {
-                return this.normalizeClaudeChunk(chunk);
-            }
-
-            // If chunk is a string, try to parse as JSON
-            if (typeof chunk === 'string') {
-                if (chunk.trim() === '') {
-                    return { type: 'empty' };
-                }
+    // Run Claude output through processClaudeStream without sending it, so non-streaming
+    // requests get the same max_tokens and stop sequence handling
+    async collectClaudeStream(claudeStream, limits = {}) {
+        return this.processClaudeStream(claudeStream, new CollectingStream(), null, limits);
+    }
 
-                try {
-                    const parsed = JSON.parse(chunk);
-                    this.logger.debug('Parsed JSON chunk:', { type: parsed.type, subtype: parsed.subtype });
-                    return this.normalizeClaudeChunk(parsed);
-                } catch (parseError) {
-                    // Treat as raw text
-                    return {
-                        type: 'assistant_message',
-                        content: chunk
-                    };
-                }
-            }
+    // Send a reply that was generated up front (e.g. a parsed tool call) as stream chunks
+    writeBufferedReply(stream, message, legacyFunctions = false, finishReason = 'stop') {
+        stream.writeChunk({ role: 'assistant', content: '' });
 
-            return { type: 'unknown', data: chunk };
-        } catch (error) {
-            this.logger.debug('Error parsing Claude chunk:', error);
-            return { type: 'error', error: error.message };
+        if (message.reasoning_content) {
+            stream.writeChunk({ reasoning_content: message.reasoning_content });
         }
-    }
 
-    normalizeClaudeChunk(chunk) {
-        // Handle different Claude CLI output formats
-        
-        // Skip system/init messages 
-        if (chunk.type === 'system' || chunk.type === 'result' || chunk.type === 'user') {
-            return { type: 'system', data: chunk };
-        }
-        
-        // Handle Claude CLI assistant messages
-        if (chunk.type === 'assistant' && chunk.message) {
-            const message = chunk.message;
-            
-            // Check for tool calls in message content
-            if (message.content && Array.isArray(message.content)) {
-                const toolUseBlocks = message.content.filter(block => block.type === 'tool_use');
-                if (toolUseBlocks.length > 0) {
-                    return this.parseToolCalls({ content: message.content });
-                }
-                
-                // Extract text content
-                const textContent = this.extractContent(message.content);
-                if (textContent) {
-                    return {
-                        type: 'assistant_message',
-                        content: textContent
-                    };
-                }
-            }
-        }
-        
-        // Check for tool calls first
-        if (chunk.tool_calls || (chunk.content && Array.isArray(chunk.content) && 
-            chunk.content.some(block => block.type === 'tool_use'))) {
-            return this.parseToolCalls(chunk);
+        if (message.content) {
+            stream.writeChunk({ content: message.content });
         }
 
-        if (chunk.content && Array.isArray(chunk.content)) {
-            // New format: { content: [TextBlock, ...] }
-            return {
-                type: 'assistant_message',
-                content: this.extractContent(chunk.content)
-            };
+        if (!message.tool_calls || message.tool_calls.length === 0) {
+            stream.writeChunk({}, finishReason);
+            return;
         }
 
-        if (chunk.type === 'text' && chunk.content) {
-            // Direct text chunk
-            return {
-                type: 'assistant_message',
-                content: chunk.content
-            };
-        }
+        this.logger.debug('Sending tool calls:', message.tool_calls);
 
-        if (typeof chunk === 'string') {
-            // Raw text
-            return {
-                type: 'assistant_message',
-                content: chunk
-            };
+        if (legacyFunctions) {
+            this.writeFunctionCallDeltas(stream, message.tool_calls[0]);
+            stream.writeChunk({}, 'function_call');
+        } else {
+            this.writeToolCallDeltas(stream, message.tool_calls);
+            stream.writeChunk({}, 'tool_calls');
         }
-
-        // Unknown format
-        return {
-            type: 'unknown',
-            data: chunk
-        };
     }
 
-    parseToolCalls(chunk) {
-        // Convert Claude tool calls to OpenAI format
-        let toolCalls = [];
-        
-        if (chunk.tool_calls) {
-            // Direct tool_calls array
-            toolCalls = chunk.tool_calls;
-        } else if (chunk.content && Array.isArray(chunk.content)) {
-            // Extract tool_use blocks from content
-            const toolUseBlocks = chunk.content.filter(block => block.type === 'tool_use');
-            toolCalls = toolUseBlocks.map(block => ({
-                id: block.id || `call_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-                type: 'function',
-                function: {
-                    name: block.name,
-                    arguments: JSON.stringify(block.input || {})
-                }
-            }));
-        }
-        
-        if (toolCalls.length > 0) {
-            return {
-                type: 'tool_calls',
-                tool_calls: toolCalls
-            };
-        }
-        
-        // No tool calls found, treat as regular content
-        return {
-            type: 'assistant_message',
-            content: this.extractContent(chunk.content || chunk)
-        };
+    // Emit tool calls the way OpenAI streams them: a header delta carrying index, id and
+    // name, followed by deltas with fragments of the arguments string
+    writeToolCallDeltas(stream, toolCalls, startIndex = 0) {
+        toolCalls.forEach((call, offset) => {
+            const index = startIndex + offset;
+
+            stream.writeChunk({
+                tool_calls: [{
+                    index,
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.function.name, arguments: '' }
+                }]
+            });
+
+            for (const fragment of this.splitArguments(call.function.arguments)) {
+                stream.writeChunk({
+                    tool_calls: [{ index, function: { arguments: fragment } }]
+                });
+            }
+        });
     }
 
-    extractContent(content) {
-        if (typeof content === 'string') {
-            return content;
-        }
+    writeFunctionCallDeltas(stream, call) {
+        stream.writeChunk({ function_call: { name: call.function.name, arguments: '' } });
 
-        if (Array.isArray(content)) {
-            let extractedText = '';
-            
-            for (const block of content) {
-                if (typeof block === 'string') {
-                    extractedText += block;
-                } else if (block && typeof block === 'object') {
-                    // Handle TextBlock objects
-                    if (block.text) {
-                        extractedText += block.text;
-                    } else if (block.type === 'text' && block.text) {
-                        extractedText += block.text;
-                    } else if (block.content) {
-                        extractedText += block.content;
-                    }
-                }
-            }
-            
-            return extractedText;
+        for (const fragment of this.splitArguments(call.function.arguments)) {
+            stream.writeChunk({ function_call: { arguments: fragment } });
         }
-
-        return '';
     }
 
-    filterContent(content) {
-        if (!content || typeof content !== 'string') {
-            return content;
+    splitArguments(args, size = 32) {
+        const fragments = [];
+        for (let i = 0; i < (args || '').length; i += size) {
+            fragments.push(args.slice(i, i + size));
         }
+        return fragments;
+    }
 
-        // Remove tool usage blocks
-        let filtered = content.replace(/<function_calls>[\s\S]*?<\/antml:function_calls>/g, '');
-        
-        // Remove thinking blocks
-        filtered = filtered.replace(/<thinking>[\s\S]*?<\/antml:thinking>/g, '');
-        
-        // Remove Claude Code specific markers
-        filtered = filtered.replace(/\[Tool Use:.*?\]/g, '');
-        filtered = filtered.replace(/\[File: .*?\]/g, '');
-        
-        // Clean up extra whitespace but preserve intentional formatting
-        filtered = filtered.replace(/\n\s*\n\s*\n/g, '\n\n').trim();
-        
-        return filtered;
+    // Claude tool_use blocks as OpenAI tool calls
+    toToolCalls(toolUses) {
+        return toolUses.map(toolUse => ({
+            id: toolUse.id || `call_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+            type: 'function',
+            function: {
+                name: toolUse.name,
+                arguments: JSON.stringify(toolUse.input)
+            }
+        }));
     }
 
     // Helper method to create a basic SSE keepalive
@@ -412,4 +711,12 @@ class StreamingManager {
 
 }
 
-module.exports = { StreamingManager, StreamingResponse };
\ No newline at end of file
+module.exports = {
+    StreamingManager,
+    StreamingResponse,
+    ChoiceStream,
+    CollectingStream,
+    AnthropicStreamingResponse,
+    CompletionStreamingResponse,
+    ResponsesStreamingResponse
+};
\ No newline at end of file
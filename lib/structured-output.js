@@ -0,0 +1,65 @@
+const { JSONSchemaValidator, extractJSON } = require('./json-schema');
+
+// Implements response_format json_object / json_schema on top of plain-text Claude replies
+class StructuredOutput {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+    }
+
+    isEnabled(responseFormat) {
+        return Boolean(responseFormat) && responseFormat.type !== 'text';
+    }
+
+    // System prompt section telling Claude to answer with JSON only
+    renderInstructions(responseFormat) {
+        let instruction = 'Respond with ONLY a single valid JSON value: no explanations, no markdown, no code fences.';
+
+        if (responseFormat.type === 'json_object') {
+            return `${instruction} The top-level value must be a JSON object.`;
+        }
+
+        const { name, description, schema } = responseFormat.json_schema;
+        instruction += ` The JSON must conform exactly to the following JSON Schema${name ? ` ("${name}")` : ''}:\n${JSON.stringify(schema, null, 2)}`;
+
+        if (description) {
+            instruction += `\nSchema description: ${description}`;
+        }
+
+        return instruction;
+    }
+
+    // Extract and validate the JSON in a reply. Returns { content } with normalized JSON text,
+    // or { error } describing why the reply was rejected. The schema itself was checked when
+    // the request was validated (OpenAIModels.validateResponseFormat).
+    check(text, responseFormat) {
+        const value = extractJSON(text);
+
+        if (value === undefined) {
+            return { error: 'The reply was not valid JSON.' };
+        }
+
+        if (responseFormat.type === 'json_object') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return { error: 'The reply must be a JSON object.' };
+            }
+            return { content: JSON.stringify(value) };
+        }
+
+        const errors = new JSONSchemaValidator(responseFormat.json_schema.schema).validate(value);
+
+        if (errors.length > 0) {
+            this.logger.debug('Structured output failed schema validation:', errors);
+            return { error: `The JSON did not match the schema:\n- ${errors.slice(0, 20).join('\n- ')}` };
+        }
+
+        return { content: JSON.stringify(value) };
+    }
+
+    // Follow-up turn that asks Claude to fix an invalid reply
+    renderCorrection(error) {
+        return `Your previous reply was rejected. ${error}\nRespond again with ONLY the corrected JSON.`;
+    }
+}
+
+module.exports = StructuredOutput;
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Same rough ratio as MessageAdapter.estimateTokens, so a reply cut at the budget
+// reports exactly max_tokens completion tokens
+const CHARS_PER_TOKEN = 4;
+
+// Enforces max_tokens on streamed output: the CLI has no such option, so the proxy
+// counts the text as it arrives and cuts the reply once the budget is spent.
+class TokenBudget {
+    constructor(maxTokens = null) {
+        this.maxChars = maxTokens ? maxTokens * CHARS_PER_TOKEN : null;
+        this.usedChars = 0;
+        this.exhausted = false;
+    }
+
+    isEnabled() {
+        return this.maxChars !== null;
+    }
+
+    // Returns the part of text that still fits in the budget
+    push(text) {
+        if (!this.isEnabled() || !text) {
+            return text;
+        }
+
+        const allowed = text.slice(0, Math.max(0, this.maxChars - this.usedChars));
+        this.usedChars += allowed.length;
+
+        if (this.usedChars >= this.maxChars) {
+            this.exhausted = true;
+        }
+
+        return allowed;
+    }
+}
+
+module.exports = TokenBudget;
\ No newline at end of file
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const { extractJSON } = require('./json-schema');
+
+class ToolCallAdapter {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+    }
+
+    // Collect tools from the request, converting legacy `functions` to the `tools` shape
+    getRequestTools(request) {
+        if (request.tools && request.tools.length > 0) {
+            return request.tools;
+        }
+
+        if (request.functions && request.functions.length > 0) {
+            return request.functions.map(fn => ({
+                type: 'function',
+                function: fn
+            }));
+        }
+
+        return [];
+    }
+
+    // Legacy `functions` requests expect `function_call` instead of `tool_calls` in the reply
+    usesLegacyFunctions(request) {
+        return !(request.tools && request.tools.length > 0) &&
+            Boolean(request.functions && request.functions.length > 0);
+    }
+
+    // Normalize tool_choice (or legacy function_call) into { mode, name }
+    resolveToolChoice(request) {
+        const choice = request.tool_choice !== undefined ? request.tool_choice : request.function_call;
+
+        if (choice === undefined || choice === 'auto') {
+            return { mode: 'auto', name: null };
+        }
+
+        if (choice === 'none' || choice === 'required') {
+            return { mode: choice, name: null };
+        }
+
+        // { type: 'function', function: { name } } or legacy { name }
+        const name = choice.function ? choice.function.name : choice.name;
+        return { mode: 'function', name };
+    }
+
+    // Build the system prompt section that describes the tools and the reply format
+    renderToolInstructions(tools, toolChoice = { mode: 'auto' }, parallelToolCalls = true) {
+        let instruction = 'You have access to the following tools/functions:\n\n';
+
+        for (const tool of tools) {
+            const fn = tool.function;
+            instruction += `- ${fn.name}: ${fn.description || 'No description'}\n`;
+            if (fn.parameters) {
+                instruction += `  Parameters (JSON Schema): ${JSON.stringify(fn.parameters)}\n`;
+            }
+        }
+
+        instruction += `
+When you determine a tool should be used, respond with ONLY this JSON (no other text, no code fences):
+{
+  "tool_calls": [
+    {
+      "type": "function",
+      "function": {
+        "name": "exact_tool_name",
+        "arguments": {"param": "value"}
+      }
+    }
+  ],
+  "content": null
+}
+
+The "arguments" object must match the tool's parameter schema.
+Results of tool calls are returned to you in later messages labelled as tool results.`;
+
+        if (parallelToolCalls) {
+            instruction += '\nYou may include several entries in "tool_calls" when multiple independent calls are needed.';
+        } else {
+            instruction += '\nInclude at most ONE entry in "tool_calls"; further calls can be made after you receive its result.';
+        }
+
+        if (toolChoice.mode === 'required') {
+            instruction += '\nIMPORTANT: You MUST respond with a tool call using the JSON above. Do not answer in plain text.';
+        } else if (toolChoice.mode === 'function') {
+            instruction += `\nIMPORTANT: You MUST respond with a call to the "${toolChoice.name}" tool using the JSON above. Do not call any other tool and do not answer in plain text.`;
+        } else {
+            instruction += '\nWhen no tool is needed, or once you have the results you need, answer normally in plain text.';
+            instruction += '\nIMPORTANT: If the user\'s request requires one of these tools, you MUST return the JSON above. Do not say you cannot access it.';
+        }
+
+        return instruction;
+    }
+
+    // Enforce tool_choice and parallel_tool_calls on a parsed reply.
+    // Returns { message } when the reply is acceptable or { error } describing what was wrong.
+    applyToolChoice(message, toolChoice, parallelToolCalls = true) {
+        let toolCalls = message.tool_calls || [];
+
+        if (toolChoice.mode === 'function') {
+            toolCalls = toolCalls.filter(call => call.function.name === toolChoice.name);
+            if (toolCalls.length === 0) {
+                return { error: `You must call the "${toolChoice.name}" tool.` };
+            }
+        } else if (toolChoice.mode === 'required' && toolCalls.length === 0) {
+            return { error: 'You must call one of the available tools.' };
+        }
+
+        if (!parallelToolCalls && toolCalls.length > 1) {
+            this.logger.debug(`Trimming ${toolCalls.length} tool calls to one (parallel_tool_calls=false)`);
+            toolCalls = toolCalls.slice(0, 1);
+        }
+
+        if (toolCalls.length === 0) {
+            return { message };
+        }
+
+        return {
+            message: {
+                ...message,
+                tool_calls: toolCalls
+            }
+        };
+    }
+
+    // Follow-up turn that asks the model to fix a reply that ignored tool_choice
+    renderToolChoiceCorrection(error) {
+        return `Your previous reply did not follow the required format. ${error} Respond with ONLY the tool call JSON described in the instructions.`;
+    }
+
+    // Render an assistant message that carried tool calls back into the transcript
+    renderAssistantToolCalls(message) {
+        const toolCalls = message.tool_calls || [];
+        const rendered = {
+            tool_calls: toolCalls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: {
+                    name: call.function.name,
+                    arguments: this.parseArguments(call.function.arguments)
+                }
+            })),
+            content: message.content || null
+        };
+
+        return JSON.stringify(rendered);
+    }
+
+    // Render a tool (or legacy function) result message as text for the transcript
+    renderToolResult(message, toolNames) {
+        const name = message.name || toolNames.get(message.tool_call_id) || 'unknown';
+        const callId = message.tool_call_id ? ` (call_id: ${message.tool_call_id})` : '';
+
+        return `Tool result for ${name}${callId}:\n${message.content}`;
+    }
+
+    // Map tool_call_id -> function name from the assistant messages in the history
+    collectToolNames(messages) {
+        const names = new Map();
+
+        for (const message of messages) {
+            if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+                for (const call of message.tool_calls) {
+                    names.set(call.id, call.function.name);
+                }
+            }
+        }
+
+        return names;
+    }
+
+    // Parse the model's reply into OpenAI tool calls, or return null for a plain text reply
+    parseToolCalls(text, tools) {
+        const parsed = this.extractJSON(text);
+        if (!parsed || typeof parsed !== 'object') {
+            return null;
+        }
+
+        let rawCalls = null;
+        if (Array.isArray(parsed.tool_calls)) {
+            rawCalls = parsed.tool_calls;
+        } else if (parsed.function_call && typeof parsed.function_call === 'object') {
+            rawCalls = [{ function: parsed.function_call }];
+        }
+
+        if (!rawCalls || rawCalls.length === 0) {
+            return null;
+        }
+
+        const knownNames = new Set(tools.map(tool => tool.function.name));
+        const toolCalls = [];
+
+        for (const call of rawCalls) {
+            const fn = call && (call.function || call);
+            if (!fn || typeof fn.name !== 'string') {
+                continue;
+            }
+
+            if (!knownNames.has(fn.name)) {
+                this.logger.warn(`Model requested unknown tool: ${fn.name}`);
+                continue;
+            }
+
+            toolCalls.push({
+                id: typeof call.id === 'string' && call.id ? call.id : this.generateCallId(),
+                type: 'function',
+                function: {
+                    name: fn.name,
+                    arguments: this.stringifyArguments(fn.arguments)
+                }
+            });
+        }
+
+        if (toolCalls.length === 0) {
+            return null;
+        }
+
+        return {
+            content: typeof parsed.content === 'string' && parsed.content ? parsed.content : null,
+            toolCalls
+        };
+    }
+
+    // Find a JSON object in the reply, tolerating code fences and surrounding prose
+    extractJSON(text) {
+        const parsed = extractJSON(text);
+        return parsed === undefined ? null : parsed;
+    }
+
+    parseArguments(args) {
+        if (typeof args !== 'string') {
+            return args || {};
+        }
+
+        try {
+            return JSON.parse(args);
+        } catch (e) {
+            return args;
+        }
+    }
+
+    stringifyArguments(args) {
+        if (args === undefined || args === null) {
+            return '{}';
+        }
+
+        if (typeof args === 'string') {
+            return args;
+        }
+
+        return JSON.stringify(args);
+    }
+
+    generateCallId() {
+        return `call_${crypto.randomBytes(12).toString('hex')}`;
+    }
+}
+
+module.exports = ToolCallAdapter;
\ No newline at end of file
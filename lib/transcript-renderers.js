@@ -0,0 +1,156 @@
+// How messagesToClaudePrompt turns a conversation into Claude CLI input (TRANSCRIPT_FORMAT).
+// Each renderer takes turns of the form { role: 'user' | 'assistant', name, parts }, where a
+// part is { type: 'text', text } or { type: 'image', number }, and returns { prompt, inputMessages }:
+// the prompt text for stdin, logs and estimates, and for stream-json input the messages to send.
+
+// "Human: ..." / "Assistant: ..." text, the original format
+class TextTranscriptRenderer {
+    render(turns) {
+        const prompt = turns
+            .map(turn => `${this.label(turn)}: ${this.partsToText(turn.parts)}`)
+            .join('\n\n');
+
+        return { prompt: prompt.trim(), inputMessages: null };
+    }
+
+    // Nothing to explain; Claude reads the transcript as is
+    instructions() {
+        return null;
+    }
+
+    // Claude sometimes carries the transcript pattern into its reply; drop the speaker prefixes
+    cleanReply(text) {
+        return text
+            .replace(/^Assistant:\s*/gm, '')
+            .replace(/^Human:\s*/gm, '')
+            .replace(/\n\s*\n\s*\n/g, '\n\n')
+            .trim();
+    }
+
+    // "Human (alice)" for named speakers, so multi-party conversations stay attributed
+    label(turn) {
+        const speaker = turn.role === 'user' ? 'Human' : 'Assistant';
+        return turn.name ? `${speaker} (${turn.name})` : speaker;
+    }
+
+    // Images are sent alongside the prompt; the text marks where each one was
+    partsToText(parts) {
+        return parts.map(part => part.type === 'image' ? `[Image #${part.number}]` : part.text).join('\n');
+    }
+}
+
+// <turn role="user">...</turn> elements, which Claude does not mistake for its own reply text
+class XmlTranscriptRenderer extends TextTranscriptRenderer {
+    render(turns, options = {}) {
+        const prompt = turns.map((turn, index) => {
+            const body = this.escape(this.partsToText(turn.parts));
+
+            // A prefill is left open so Claude continues inside it
+            const isPrefill = options.prefill && index === turns.length - 1 && turn.role === 'assistant';
+            return `${this.openTag(turn)}\n${body}${isPrefill ? '' : '\n</turn>'}`;
+        }).join('\n\n');
+
+        return { prompt, inputMessages: null };
+    }
+
+    instructions() {
+        return 'The conversation so far is given as <turn> elements in order. role="user" turns come from the user or carry tool results; ' +
+            'role="assistant" turns are your earlier replies. Write only the content of your next assistant turn, without any <turn> tags.';
+    }
+
+    // Unwrap a reply Claude put in a turn element of its own, and cut any turn it went on to invent
+    cleanReply(text) {
+        const reply = text.replace(/^\s*<turn role="assistant"[^>]*>/, '');
+        const end = reply.search(/<\/turn>|<turn role="user"/);
+
+        return (end >= 0 ? reply.slice(0, end) : reply).trim();
+    }
+
+    openTag(turn) {
+        const name = turn.name ? ` name="${turn.name}"` : '';
+        return `<turn role="${turn.role}"${name}>`;
+    }
+
+    // Turn tags inside message text would end the element early
+    escape(text) {
+        return text.replace(/<(\/?)turn\b/g, '&lt;$1turn');
+    }
+}
+
+// One user message on --input-format stream-json. The CLI takes every user message as a new
+// prompt and has no way to pass earlier assistant replies, so the history is written into the
+// message as <turn> elements and the newest user turns follow as plain content, merged. Images
+// stay where they were as image parts, filled in by ClaudeCLI.buildInput. A prefill is the last
+// history turn, left open. The prompt is the text of the message, for logs and estimates.
+class StreamJsonTranscriptRenderer extends XmlTranscriptRenderer {
+    render(turns, options = {}) {
+        // The user turns after the last assistant turn are the newest message
+        let latest = turns.length;
+        while (latest > 0 && turns[latest - 1].role === 'user') {
+            latest--;
+        }
+
+        const content = [];
+        const addText = text => {
+            if (!text) {
+                return;
+            }
+            const previous = content[content.length - 1];
+            if (previous && previous.type === 'text') {
+                previous.text += text;
+            } else {
+                content.push({ type: 'text', text });
+            }
+        };
+        const addParts = (parts, escape) => parts.forEach((part, index) => {
+            if (index > 0) {
+                addText('\n');
+            }
+            if (part.type === 'image') {
+                content.push({ type: 'image', number: part.number });
+            } else {
+                addText(escape ? this.escape(part.text) : part.text);
+            }
+        });
+
+        turns.forEach((turn, index) => {
+            if (index > 0) {
+                addText('\n\n');
+            }
+
+            if (index >= latest) {
+                addText(turn.name ? `${turn.name}: ` : '');
+                addParts(turn.parts, false);
+                return;
+            }
+
+            addText(`${this.openTag(turn)}\n`);
+            addParts(turn.parts, true);
+
+            const isPrefill = options.prefill && index === turns.length - 1 && turn.role === 'assistant';
+            addText(isPrefill ? '' : '\n</turn>');
+        });
+
+        const prompt = content.map(block => block.type === 'image' ? `[Image #${block.number}]` : block.text).join('');
+
+        return { prompt, inputMessages: [{ role: 'user', content }] };
+    }
+
+    instructions() {
+        return 'Earlier turns of the conversation, if any, come first as <turn> elements in order. role="user" turns come from the user or carry tool results; ' +
+            'role="assistant" turns are your earlier replies. The text after them is the user\'s newest message. Write only your reply, without any <turn> tags.';
+    }
+}
+
+const RENDERERS = {
+    text: TextTranscriptRenderer,
+    xml: XmlTranscriptRenderer,
+    'stream-json': StreamJsonTranscriptRenderer
+};
+
+function createTranscriptRenderer(config) {
+    const Renderer = RENDERERS[config.transcriptFormat] || TextTranscriptRenderer;
+    return new Renderer();
+}
+
+module.exports = { TextTranscriptRenderer, XmlTranscriptRenderer, StreamJsonTranscriptRenderer, createTranscriptRenderer };
\ No newline at end of file
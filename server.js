@@ -8,10 +8,17 @@ const { promisify } = require('util');
 const Router = require('./lib/router');
 const Logger = require('./lib/logger');
 const Config = require('./lib/config');
-// Removed SessionManager - using stateless proxy approach
+const ResponseStore = require('./lib/response-store');
+const SessionStore = require('./lib/session-store');
+const SessionManager = require('./lib/session-manager');
+const ProcessScheduler = require('./lib/process-scheduler');
 
 // Import API handlers
 const ChatHandler = require('./api/chat');
+const CompletionsHandler = require('./api/completions');
+const MessagesHandler = require('./api/messages');
+const ResponsesHandler = require('./api/responses');
+const SessionsHandler = require('./api/sessions');
 const ModelsHandler = require('./api/models');
 const HealthHandler = require('./api/health');
 
@@ -23,15 +30,76 @@ class OpenAIClaudeServer {
         this.config = new Config();
         this.logger = new Logger(this.config);
         this.router = new Router();
+
+        // Shared across requests so previous_response_id can find earlier turns
+        this.responseStore = new ResponseStore(this.config);
+
+        // Shared across requests so chats that extend a known conversation can resume its CLI session
+        this.sessionStore = new SessionStore(this.config);
+
+        // Explicit sessions created through /v1/sessions and attached with X-Claude-Session
+        this.sessionManager = new SessionManager(this.config);
+
+        // Shared so MAX_CONCURRENT_PROCESSES holds across all requests
+        this.processScheduler = new ProcessScheduler(this.config, this.logger);
         
         this.setupRoutes();
         this.server = null;
     }
 
     setupRoutes() {
-        // Chat completions endpoint - stateless proxy
+        // Chat completions endpoint
         this.router.post('/v1/chat/completions', async (req, res) => {
-            const handler = new ChatHandler(this.config, this.logger);
+            const handler = new ChatHandler(this.config, this.logger, this.sessionStore, this.sessionManager, this.processScheduler);
+            return handler.handle(req, res);
+        });
+
+        // Legacy text completions endpoint
+        this.router.post('/v1/completions', async (req, res) => {
+            const handler = new CompletionsHandler(this.config, this.logger, this.processScheduler);
+            return handler.handle(req, res);
+        });
+
+        // OpenAI Responses API endpoints
+        this.router.post('/v1/responses', async (req, res) => {
+            const handler = new ResponsesHandler(this.config, this.logger, this.responseStore, this.processScheduler);
+            return handler.handle(req, res);
+        });
+
+        this.router.get('/v1/responses/:id', async (req, res) => {
+            const handler = new ResponsesHandler(this.config, this.logger, this.responseStore, this.processScheduler);
+            return handler.handleGet(req, res);
+        });
+
+        this.router.delete('/v1/responses/:id', async (req, res) => {
+            const handler = new ResponsesHandler(this.config, this.logger, this.responseStore, this.processScheduler);
+            return handler.handleDelete(req, res);
+        });
+
+        // Session endpoints
+        this.router.post('/v1/sessions', async (req, res) => {
+            const handler = new SessionsHandler(this.config, this.logger, this.sessionManager);
+            return handler.handleCreate(req, res);
+        });
+
+        this.router.get('/v1/sessions', async (req, res) => {
+            const handler = new SessionsHandler(this.config, this.logger, this.sessionManager);
+            return handler.handleList(req, res);
+        });
+
+        this.router.get('/v1/sessions/:id', async (req, res) => {
+            const handler = new SessionsHandler(this.config, this.logger, this.sessionManager);
+            return handler.handleGet(req, res);
+        });
+
+        this.router.delete('/v1/sessions/:id', async (req, res) => {
+            const handler = new SessionsHandler(this.config, this.logger, this.sessionManager);
+            return handler.handleDelete(req, res);
+        });
+
+        // Anthropic Messages API endpoint
+        this.router.post('/v1/messages', async (req, res) => {
+            const handler = new MessagesHandler(this.config, this.logger, this.processScheduler);
             return handler.handle(req, res);
         });
 
@@ -41,6 +109,11 @@ class OpenAIClaudeServer {
             return handler.handle(req, res);
         });
 
+        this.router.get('/v1/models/:id', async (req, res) => {
+            const handler = new ModelsHandler(this.config, this.logger);
+            return handler.handleGet(req, res);
+        });
+
         // Health check
         this.router.get('/health', async (req, res) => {
             const handler = new HealthHandler(this.config, this.logger);
@@ -67,7 +140,12 @@ class OpenAIClaudeServer {
                     this.logger.info(`📁 File logging: ${this.config.fileLogging ? 'ON' : 'OFF'}`);
                     this.logger.info(`📋 Available endpoints:`);
                     this.logger.info(`   POST /v1/chat/completions - Main chat endpoint`);
+                    this.logger.info(`   POST /v1/completions - Legacy text completions`);
+                    this.logger.info(`   POST /v1/responses - OpenAI Responses API`);
+                    this.logger.info(`   POST /v1/sessions - Create a session (GET to list, GET/DELETE /v1/sessions/:id)`);
+                    this.logger.info(`   POST /v1/messages - Anthropic Messages API`);
                     this.logger.info(`   GET  /v1/models - List available models`);
+                    this.logger.info(`   GET  /v1/models/:id - Look up a single model`);
                     this.logger.info(`   GET  /health - Health check`);
                     resolve();
                 }
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AnthropicModels } = require('../lib/anthropic');
+const { ValidationError } = require('../lib/models');
+
+function validate(messages, extra = {}) {
+    return AnthropicModels.validateMessagesRequest({ model: 'sonnet', max_tokens: 100, messages, ...extra });
+}
+
+test('validateMessagesRequest: image blocks become image_url parts', () => {
+    const { messages } = validate([{
+        role: 'user',
+        content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+        ]
+    }]);
+
+    assert.deepEqual(messages, [{
+        role: 'user',
+        content: [
+            { type: 'text', text: 'What is this?' },
+            { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+        ]
+    }]);
+});
+
+test('validateMessagesRequest: tool_use and tool_result blocks become tool calls and tool messages', () => {
+    const { messages } = validate([
+        { role: 'user', content: 'Weather in Paris?' },
+        {
+            role: 'assistant',
+            content: [
+                { type: 'thinking', thinking: 'Look it up.', signature: 'sig' },
+                { type: 'text', text: 'Checking.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+            ]
+        },
+        {
+            role: 'user',
+            content: [
+                { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '18C' }] },
+                { type: 'text', text: 'Summarize.' }
+            ]
+        }
+    ]);
+
+    assert.deepEqual(messages, [
+        { role: 'user', content: 'Weather in Paris?' },
+        {
+            role: 'assistant',
+            content: 'Checking.',
+            tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '18C' },
+        { role: 'user', content: 'Summarize.' }
+    ]);
+});
+
+test('validateMessagesRequest: error tool results are marked', () => {
+    const { messages } = validate([
+        { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'lookup', input: {} }] },
+        { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', is_error: true, content: 'timed out' }] }
+    ]);
+
+    assert.deepEqual(messages[1], { role: 'tool', tool_call_id: 'toolu_1', content: 'Error: timed out' });
+});
+
+test('validateMessagesRequest: blocks in the wrong role and tools are rejected', () => {
+    const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } };
+
+    assert.throws(() => validate([{ role: 'assistant', content: [image] }]), ValidationError);
+    assert.throws(() => validate([{ role: 'user', content: [{ type: 'tool_use', id: 'x', name: 'y', input: {} }] }]), ValidationError);
+    assert.throws(() => validate([{ role: 'user', content: [{ type: 'document' }] }]), ValidationError);
+    assert.throws(() => validate([{ role: 'user', content: 'hi' }], { tools: [] }), ValidationError);
+});
\ No newline at end of file
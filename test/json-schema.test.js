@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JSONSchemaValidator } = require('../lib/json-schema');
+const { OpenAIModels, APIError } = require('../lib/models');
+
+function responseFormat(schema) {
+    return { type: 'json_schema', json_schema: { name: 'reply', schema } };
+}
+
+test('checkSchema: recursion through properties is accepted', () => {
+    const schema = {
+        $defs: { node: { type: 'object', properties: { next: { anyOf: [{ type: 'null' }, { $ref: '#/$defs/node' }] } } } },
+        $ref: '#/$defs/node'
+    };
+
+    new JSONSchemaValidator(schema).checkSchema();
+    assert.deepEqual(new JSONSchemaValidator(schema).validate({ next: { next: null } }), []);
+});
+
+test('checkSchema: $ref cycles that consume no input are rejected', () => {
+    const schemas = [
+        { $ref: '#' },
+        { $defs: { a: { $ref: '#/$defs/a' } } },
+        { $defs: { a: { anyOf: [{ type: 'null' }, { $ref: '#/$defs/b' }] }, b: { allOf: [{ $ref: '#/$defs/a' }] } } }
+    ];
+
+    for (const schema of schemas) {
+        assert.throws(() => new JSONSchemaValidator(schema).checkSchema(), /\$ref cycle/);
+    }
+});
+
+test('validateResponseFormat: unusable schemas are a 400 invalid_request_error', () => {
+    const schemas = [
+        { $ref: '#' },
+        { type: 'object', properties: { a: { $ref: '#/$defs/missing' } } },
+        { type: 'string', pattern: '(' }
+    ];
+
+    for (const schema of schemas) {
+        assert.throws(() => OpenAIModels.validateResponseFormat(responseFormat(schema)), error =>
+            error instanceof APIError && error.statusCode === 400 && error.type === 'invalid_request_error');
+    }
+});
\ No newline at end of file
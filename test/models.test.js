@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OpenAIModels, ValidationError } = require('../lib/models');
+
+test('validateMessage: a replayed SDK assistant message with null tool fields is a plain reply', () => {
+    const message = OpenAIModels.validateMessage({
+        role: 'assistant',
+        content: 'Hello!',
+        refusal: null,
+        tool_calls: null,
+        function_call: null
+    });
+
+    assert.deepEqual(message, { role: 'assistant', content: 'Hello!' });
+});
+
+test('validateMessage: an empty tool_calls array means no tool calls', () => {
+    assert.deepEqual(OpenAIModels.validateMessage({ role: 'assistant', content: 'Hi', tool_calls: [] }), { role: 'assistant', content: 'Hi' });
+    assert.throws(() => OpenAIModels.validateMessage({ role: 'assistant', content: null, tool_calls: [] }), ValidationError);
+});
+
+test('validateMessage: tool calls next to a null function_call are kept', () => {
+    const message = OpenAIModels.validateMessage({
+        role: 'assistant',
+        content: null,
+        function_call: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }]
+    });
+
+    assert.equal(message.content, null);
+    assert.deepEqual(message.tool_calls, [{ id: 'call_1', type: 'function', function: { name: 'lookup', arguments: '{"q":"x"}' } }]);
+});
+
+test('validateMessage: a legacy function_call becomes a single tool call', () => {
+    const message = OpenAIModels.validateMessage({ role: 'assistant', content: null, tool_calls: null, function_call: { name: 'lookup', arguments: '{}' } });
+
+    assert.equal(message.tool_calls.length, 1);
+    assert.equal(message.tool_calls[0].function.name, 'lookup');
+});
\ No newline at end of file
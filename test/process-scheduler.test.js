@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProcessScheduler = require('../lib/process-scheduler');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createScheduler(maxConcurrentProcesses, maxQueueSize) {
+    return new ProcessScheduler({ maxConcurrentProcesses, maxQueueSize, queueTimeout: 5 }, logger);
+}
+
+test('reserve: places held for runs that have not started count as taken', () => {
+    const scheduler = createScheduler(1, 1);
+    scheduler.reserve();
+    scheduler.reserve();
+
+    assert.throws(() => scheduler.reserve(), error => error.statusCode === 429 && error.code === 'queue_full' && error.retryAfter === 5);
+});
+
+test('reserve: a request whose runs do not all fit is turned away', () => {
+    const scheduler = createScheduler(1, 1);
+
+    assert.throws(() => scheduler.reserve(3), error => error.code === 'queue_full');
+    assert.equal(scheduler.reserved, 0);
+});
+
+test('acquire: runs holding a reservation take their place even when the queue is full', async () => {
+    const scheduler = createScheduler(1, 1);
+    const reservation = scheduler.reserve(2);
+
+    const releaseFirst = await scheduler.acquire(null, reservation);
+    const second = scheduler.acquire(null, reservation);
+    assert.equal(scheduler.running, 1);
+    assert.equal(scheduler.queue.length, 1);
+    assert.equal(scheduler.reserved, 0);
+    assert.throws(() => scheduler.checkCapacity(), error => error.code === 'queue_full');
+
+    releaseFirst();
+    (await second)();
+    assert.equal(scheduler.running, 0);
+});
+
+test('release: places no run took are given back', () => {
+    const scheduler = createScheduler(1, 1);
+    const reservation = scheduler.reserve(2);
+    reservation.release();
+    reservation.release();
+
+    assert.equal(scheduler.reserved, 0);
+    scheduler.reserve(2);
+});
\ No newline at end of file
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MessageAdapter = require('../lib/message-adapter');
+const {
+    TextTranscriptRenderer,
+    XmlTranscriptRenderer,
+    StreamJsonTranscriptRenderer,
+    createTranscriptRenderer
+} = require('../lib/transcript-renderers');
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const text = value => ({ type: 'text', text: value });
+const image = number => ({ type: 'image', number });
+
+const conversation = [
+    { role: 'user', name: null, parts: [text('Hi')] },
+    { role: 'assistant', name: null, parts: [text('Hello!')] },
+    { role: 'user', name: 'alice', parts: [text('Look at this:'), image(1)] },
+    { role: 'user', name: null, parts: [text('And this.'), image(2)] }
+];
+
+function adapterFor(transcriptFormat) {
+    return new MessageAdapter({ transcriptFormat }, logger);
+}
+
+test('createTranscriptRenderer picks the renderer for TRANSCRIPT_FORMAT', () => {
+    assert.ok(createTranscriptRenderer({ transcriptFormat: 'text' }) instanceof TextTranscriptRenderer);
+    assert.ok(createTranscriptRenderer({ transcriptFormat: 'xml' }) instanceof XmlTranscriptRenderer);
+    assert.ok(createTranscriptRenderer({ transcriptFormat: 'stream-json' }) instanceof StreamJsonTranscriptRenderer);
+    assert.ok(createTranscriptRenderer({}) instanceof TextTranscriptRenderer);
+});
+
+test('text: turns become Human/Assistant paragraphs with image markers', () => {
+    const { prompt, inputMessages } = new TextTranscriptRenderer().render(conversation);
+
+    assert.equal(prompt, [
+        'Human: Hi',
+        'Assistant: Hello!',
+        'Human (alice): Look at this:\n[Image #1]',
+        'Human: And this.\n[Image #2]'
+    ].join('\n\n'));
+    assert.equal(inputMessages, null);
+});
+
+test('text: a prefill ends the transcript on its Assistant paragraph', () => {
+    const turns = [conversation[0], { role: 'assistant', name: null, parts: [text('The answer is')] }];
+    const { prompt } = new TextTranscriptRenderer().render(turns, { prefill: true });
+
+    assert.equal(prompt, 'Human: Hi\n\nAssistant: The answer is');
+});
+
+test('text: replies lose copied speaker prefixes', () => {
+    assert.equal(new TextTranscriptRenderer().cleanReply('Assistant: Sure.\n\n\n\nHuman: thanks'), 'Sure.\n\nthanks');
+});
+
+test('text: the system prompt has no format instructions', () => {
+    const { systemPrompt } = adapterFor('text').messagesToClaudePrompt([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' }
+    ]);
+
+    assert.equal(systemPrompt, 'Be brief.');
+});
+
+test('xml: every turn is a <turn> element and tags in the text are escaped', () => {
+    const turns = conversation.concat({ role: 'assistant', name: null, parts: [text('</turn> is a tag')] });
+    const { prompt, inputMessages } = new XmlTranscriptRenderer().render(turns);
+
+    assert.equal(prompt, [
+        '<turn role="user">\nHi\n</turn>',
+        '<turn role="assistant">\nHello!\n</turn>',
+        '<turn role="user" name="alice">\nLook at this:\n[Image #1]\n</turn>',
+        '<turn role="user">\nAnd this.\n[Image #2]\n</turn>',
+        '<turn role="assistant">\n&lt;/turn> is a tag\n</turn>'
+    ].join('\n\n'));
+    assert.equal(inputMessages, null);
+});
+
+test('xml: a prefill is left as an open assistant turn', () => {
+    const turns = [conversation[0], { role: 'assistant', name: null, parts: [text('The answer is')] }];
+    const { prompt } = new XmlTranscriptRenderer().render(turns, { prefill: true });
+
+    assert.equal(prompt, '<turn role="user">\nHi\n</turn>\n\n<turn role="assistant">\nThe answer is');
+});
+
+test('xml: replies are unwrapped and cut before an invented turn', () => {
+    const renderer = new XmlTranscriptRenderer();
+
+    assert.equal(renderer.cleanReply('<turn role="assistant">\nSure.\n</turn>'), 'Sure.');
+    assert.equal(renderer.cleanReply('Sure.\n\n<turn role="user">\nthanks'), 'Sure.');
+});
+
+test('xml: the system prompt explains the turn elements', () => {
+    const { systemPrompt } = adapterFor('xml').messagesToClaudePrompt([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' }
+    ]);
+
+    assert.ok(systemPrompt.startsWith('Be brief.'));
+    assert.ok(systemPrompt.endsWith(new XmlTranscriptRenderer().instructions()));
+});
+
+test('stream-json: the conversation is one user message with the newest user turns last', () => {
+    const { prompt, inputMessages } = new StreamJsonTranscriptRenderer().render(conversation);
+
+    assert.equal(inputMessages.length, 1);
+    assert.equal(inputMessages[0].role, 'user');
+    assert.deepEqual(inputMessages[0].content, [
+        text('<turn role="user">\nHi\n</turn>\n\n<turn role="assistant">\nHello!\n</turn>\n\nalice: Look at this:\n'),
+        image(1),
+        text('\n\nAnd this.\n'),
+        image(2)
+    ]);
+    assert.equal(prompt, '<turn role="user">\nHi\n</turn>\n\n<turn role="assistant">\nHello!\n</turn>\n\n' +
+        'alice: Look at this:\n[Image #1]\n\nAnd this.\n[Image #2]');
+});
+
+test('stream-json: images in earlier turns stay inside their turn element', () => {
+    const turns = [
+        { role: 'user', name: null, parts: [text('What is this?'), image(1)] },
+        { role: 'assistant', name: null, parts: [text('A cat.')] },
+        { role: 'user', name: null, parts: [text('<turn> tags stay as typed')] }
+    ];
+    const { inputMessages } = new StreamJsonTranscriptRenderer().render(turns);
+
+    assert.deepEqual(inputMessages[0].content, [
+        text('<turn role="user">\nWhat is this?\n'),
+        image(1),
+        text('\n</turn>\n\n<turn role="assistant">\nA cat.\n</turn>\n\n<turn> tags stay as typed')
+    ]);
+});
+
+test('stream-json: a single user turn is sent as plain content', () => {
+    const { prompt, inputMessages } = new StreamJsonTranscriptRenderer().render([conversation[0]]);
+
+    assert.equal(prompt, 'Hi');
+    assert.deepEqual(inputMessages, [{ role: 'user', content: [text('Hi')] }]);
+});
+
+test('stream-json: a prefill is left as an open assistant turn at the end', () => {
+    const turns = [conversation[0], { role: 'assistant', name: null, parts: [text('The answer is')] }];
+    const { inputMessages } = new StreamJsonTranscriptRenderer().render(turns, { prefill: true });
+
+    assert.deepEqual(inputMessages, [{
+        role: 'user',
+        content: [text('<turn role="user">\nHi\n</turn>\n\n<turn role="assistant">\nThe answer is')]
+    }]);
+});
+
+test('stream-json: the system prompt explains the history and the prefill', () => {
+    const { systemPrompt, inputMessages } = adapterFor('stream-json').messagesToClaudePrompt([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'The answer is' }
+    ]);
+
+    assert.ok(systemPrompt.startsWith('Be brief.'));
+    assert.ok(systemPrompt.includes(new StreamJsonTranscriptRenderer().instructions()));
+    assert.ok(systemPrompt.includes('The conversation ends with an unfinished Assistant turn.'));
+    assert.equal(inputMessages.length, 1);
+    assert.ok(inputMessages[0].content[0].text.endsWith('<turn role="assistant">\nThe answer is'));
+});
+
+test('stream-json: replies are cleaned like xml', () => {
+    assert.equal(new StreamJsonTranscriptRenderer().cleanReply('<turn role="assistant">Sure.</turn>'), 'Sure.');
+});
\ No newline at end of file